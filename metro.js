@@ -1,4 +1,4 @@
-/* global ymaps */
+/* global ymaps, transportMapScheme */
 
 ymaps.ready(function () {
     /**
@@ -26,16 +26,62 @@ ymaps.ready(function () {
      * @param {Number} [options.minZoom = 0]
      * @param {Number} [options.lang = 'ru']
      * @param {String} [options.path = 'node_modules/metro-data/'] A path to the metro-data
+     * @param {Boolean} [options.hash = false] Keep the state in sync with "location.hash"
+     * @param {Function} [options.loader] Custom scheme loader, @see SchemeLoader
+     * @param {Boolean} [options.cache = true] Share parsed schemes between maps
+     * @param {Number} [options.timeout = 0] Loading timeout in milliseconds, 0 for no timeout
+     * @param {Number} [options.retries = 0] Number of retries after a network failure,
+     *  a timeout or a server error
+     * @param {Boolean} [options.hoverable = true] Highlight stations under the cursor
+     * @param {Boolean} [options.hint = false] Show a hint with the station title and lines on hover
+     * @param {String|Number} [options.selectionMode = 'multiple'] @see StationCollection
+     * @param {Boolean} [options.stationEvents = false] Fire "selectionchange" on every changed station
+     * @param {Object} [options.shadeStyle = {opacity: 0.5}] Css of the shaded scheme layer
+     * @param {Object} [options.selectionStyle] Css of selected labels' background, @see Station
+     * @param {Object} [options.groupStyles] Css of labels' background by highlight group name
+     * @param {Boolean} [options.keyboard = false] Keyboard navigation and screen reader support,
+     *  @see KeyboardNavigation
+     * @param {Boolean} [options.static = false] Non-interactive scheme for previews, print pages, kiosks:
+     *  no map behaviors, no station hit areas, no keyboard navigation and hash sync.
+     *  The state can be changed only by methods
+     * @param {Array<String>} [options.behaviors = ['drag', 'scrollZoom', 'multiTouch']] Map behaviors
+     *  of the interactive scheme
+     * @param {Function} [options.excludeFromRoute] Is called with every Station and Line,
+     *  returns true for ones, that routes should avoid. Closed ones by default
      */
     function TransportMap(city, container, state, options) {
-        this._schemeId = this._schemeIdByCity[city];
+        var cityInfo = cities.get(city);
+
+        this._city = city;
+        this._schemeId = cityInfo && cityInfo.schemeId;
 
         this._options = ymaps.util.extend({
             lang: 'ru',
             path: 'node_modules/metro-data/',
             minZoom: 0,
-            maxZoom: 3
+            maxZoom: 3,
+            hash: false,
+            loader: SchemeLoader.xhr,
+            cache: true,
+            timeout: 0,
+            retries: 0,
+            hoverable: true,
+            hint: false,
+            selectionMode: 'multiple',
+            stationEvents: false,
+            shadeStyle: SchemeView.SHADE_STYLE,
+            selectionStyle: Station.SELECTION_STYLE,
+            groupStyles: {},
+            keyboard: false,
+            excludeFromRoute: TransportMap.excludeFromRoute,
+            static: false,
+            behaviors: ['drag', 'scrollZoom', 'multiTouch']
         }, options);
+        this._loader = new SchemeLoader(this._options.loader, {
+            cache: this._options.cache,
+            timeout: this._options.timeout,
+            retries: this._options.retries
+        });
         this._state = ymaps.util.extend({
             center: [0, 0],
             shaded: false,
@@ -52,67 +98,231 @@ ymaps.ready(function () {
         }
 
         //NOTE promise is returned from constructor
-        return this._loadScheme().then(
-            this._onSchemeLoad.bind(this),
-            function (e) {
-                setTimeout(function () {throw e; });
-            }
+        if (!cityInfo) {
+            return ymaps.vow.reject(new UnknownCityError('Unknown city "' + city + '"', {city: city}));
+        }
+        return this._loadScheme(cityInfo, this._options.lang).then(
+            this._onSchemeLoad.bind(this)
         );
     }
     TransportMap.prototype = {
         /**
          * Loads an svg scheme
-         * and returns promise that provides an SVGElement
+         * and returns promise that provides an SVGElement.
+         * Rejects languages missing in "cityInfo.languages", if the city lists them
+         *
+         * @param {Object} cityInfo City from the registry
+         * @param {String} lang
          *
          * @returns {ymaps.vow.Promise}
          */
-        _loadScheme: function () {
-            var domParser, node,
-            xhr = new XMLHttpRequest(),
-            deferred = new ymaps.vow.Deferred();
-
-            xhr.onreadystatechange = function () {
-                if (xhr.readyState === 4) {
-                    domParser = new window.DOMParser();
-                    try {
-                        node = domParser.parseFromString(xhr.responseText, "text/xml");
-                        deferred.resolve(node.firstChild);
-                    } catch (e) {
-                        deferred.reject(e);
-                    }
-                }
-            };
-            xhr.onerror = function (e) {
-                deferred.reject(e);
-            };
-            xhr.open('GET', [
-                this._options.path,
-                this._schemeId, '.', this._options.lang, '.svg'
-            ].join(''), true);
-            xhr.send(null);
+        _loadScheme: function (cityInfo, lang) {
+            if (cityInfo.languages.length && cityInfo.languages.indexOf(lang) === -1) {
+                return ymaps.vow.reject(new UnsupportedLanguageError(
+                    'Language "' + lang + '" is not available for city "' + cityInfo.alias + '"',
+                    {city: cityInfo.alias, lang: lang}
+                ));
+            }
 
-            return deferred.promise();
+            return this._loader.load({
+                city: cityInfo.alias,
+                schemeId: cityInfo.schemeId,
+                lang: lang,
+                path: cityInfo.path || this._options.path
+            });
         },
         _onSchemeLoad: function (node) {
-            this._schemeView = new SchemeView(node);
-            this._map = this._createMap();
-            this._map.layers.add(new SchemeLayer(this._schemeView));
+            var hashSync;
 
-            this.stations = new StationCollection(this._schemeView);
-            this._map.layers.add(this.stations);
-            this.stations.select(this._state.selection);
+            this._map = this._createMap();
 
             // Event manager added
             this.events = new ymaps.event.Manager();
             // Enable event bubbling
             this._map.events.setParent(this.events);
-            this.stations.events.setParent(this.events);
+            this.events.add('statuschange', this._onStatusChange, this);
+
+            this._setScheme(node);
+            this.stations.select(this._state.selection);
 
             if (this._state.shaded) {
                 this.shade();
             }
+            if (this._options.hash && !this._options.static) {
+                hashSync = this._enableHashSync();
+            }
+            if (this._options.keyboard && !this._options.static) {
+                this._keyboardNavigation = new KeyboardNavigation(this, this._container);
+            }
 
-            return this;
+            return hashSync ? hashSync.then(function () {
+                return this;
+            }.bind(this)) : this;
+        },
+        /**
+         * Inserts a scheme into the map
+         * and creates everything that depends on it
+         *
+         * @param {SVGElement} node Root node of a scheme image
+         * @param {Object} [stationOptions] Options of the previous StationCollection
+         */
+        _setScheme: function (node, stationOptions) {
+            this._schemeView = new SchemeView(node);
+            this._schemeLayer = new SchemeLayer(this._schemeView);
+            this._map.layers.add(this._schemeLayer);
+
+            this.lines = new LineCollection(this._schemeView);
+            this.lines.events.setParent(this.events);
+
+            this.stations = new StationCollection(this._schemeView, this.lines, stationOptions || {
+                hoverable: this._options.hoverable,
+                hint: this._options.hint,
+                selectionMode: this._options.selectionMode,
+                stationEvents: this._options.stationEvents,
+                selectionStyle: this._options.selectionStyle,
+                groupStyles: this._options.groupStyles,
+                interactive: !this._options.static
+            });
+            this._map.layers.add(this.stations);
+            this.stations.events.setParent(this.events);
+
+            this._router = new Router(this._schemeView);
+            this._route = null;
+            this._routeHighlight = null;
+            this._pathHighlight = null;
+        },
+        /**
+         * Removes a scheme inserted by "_setScheme"
+         */
+        _removeScheme: function () {
+            this.clearRoute();
+            this.clearHighlight();
+
+            this.stations.events.setParent(null);
+            this.lines.events.setParent(null);
+            this._map.layers.remove(this.stations);
+            this._map.layers.remove(this._schemeLayer);
+        },
+        /**
+         * Replaces the scheme keeping the map, its controls and subscriptions.
+         * Selection and highlight groups are kept for stations with the same codes,
+         * selection of lines – for lines with the same ids,
+         * geo coordinates and statuses – on a language change.
+         * Fires 'schemechange' event
+         *
+         * @param {String} city
+         * @param {String} lang
+         *
+         * @returns {ymaps.vow.Promise} Resolves to this map
+         */
+        _changeScheme: function (city, lang) {
+            var cityInfo = cities.get(city),
+                request = this._schemeRequest = {};
+
+            if (!cityInfo) {
+                return ymaps.vow.reject(new UnknownCityError('Unknown city "' + city + '"', {city: city}));
+            }
+
+            return this._loadScheme(cityInfo, lang).then(function (node) {
+                var selection, lineSelection, groups, stationOptions, geoCoordinates, statuses, lineStatuses,
+                    oldCity = this._city, oldLang = this._options.lang;
+
+                // scheme was changed again, while this one was loading
+                if (this._schemeRequest !== request) {
+                    return this;
+                }
+
+                selection = this.stations.getSelection();
+                lineSelection = this.lines.getSelection();
+                groups = this.stations.getGroups().map(function (group) {
+                    return {name: group, codes: this.stations.getGroup(group)};
+                }, this);
+                stationOptions = ymaps.util.extend({}, this.stations.options.getAll());
+                // codes of another city may point to different places
+                geoCoordinates = city === oldCity ? this.stations.getGeoCoordinates() : {};
+                statuses = city === oldCity ? this.stations.getStatuses().map(function (status) {
+                    return {name: status, codes: this.stations.getStatus(status)};
+                }, this) : [];
+                lineStatuses = city === oldCity ? this.lines.getStatuses().map(function (status) {
+                    return {name: status, ids: this.lines.getStatus(status)};
+                }, this) : [];
+                this._removeScheme();
+
+                this._city = city;
+                this._schemeId = cityInfo.schemeId;
+                this._options.lang = lang;
+                this._setScheme(node, stationOptions);
+
+                this.stations.select(selection.filter(this._hasStation, this));
+                groups.forEach(function (group) {
+                    this.stations.addToGroup(group.name, group.codes.filter(this._hasStation, this));
+                }, this);
+                this.lines.select(lineSelection.filter(function (id) {
+                    return this.lines.getById(id);
+                }, this));
+                this.stations.setGeoCoordinates(Object.keys(geoCoordinates).filter(this._hasStation, this).reduce(
+                    function (coordinates, code) {
+                        coordinates[code] = geoCoordinates[code];
+                        return coordinates;
+                    },
+                    {}
+                ));
+                statuses.forEach(function (status) {
+                    this.stations.addStatus(status.name, status.codes.filter(this._hasStation, this));
+                }, this);
+                lineStatuses.forEach(function (status) {
+                    this.lines.addStatus(status.name, status.ids.filter(function (id) {
+                        return this.lines.getById(id);
+                    }, this));
+                }, this);
+                if (this._state.shaded) {
+                    this._schemeView.fadeIn(this._options.shadeStyle);
+                }
+
+                this.events.fire('schemechange', {
+                    target: this,
+                    oldCity: oldCity,
+                    newCity: city,
+                    oldLang: oldLang,
+                    newLang: lang
+                });
+
+                return this;
+            }.bind(this));
+        },
+        /**
+         * Switches the map to another city.
+         * Fires 'schemechange' event
+         *
+         * @param {String} city (e.g. 'minsk', 'moscow')
+         *
+         * @returns {ymaps.vow.Promise} Resolves to this map
+         */
+        setCity: function (city) {
+            return this._changeScheme(city, this._options.lang);
+        },
+        /**
+         * @returns {String}
+         */
+        getCity: function () {
+            return this._city;
+        },
+        /**
+         * Switches the scheme to another language.
+         * Fires 'schemechange' event
+         *
+         * @param {String} lang (e.g. 'ru', 'en')
+         *
+         * @returns {ymaps.vow.Promise} Resolves to this map
+         */
+        setLanguage: function (lang) {
+            return this._changeScheme(this._city, lang);
+        },
+        /**
+         * @returns {String}
+         */
+        getLanguage: function () {
+            return this._options.lang;
         },
         _createMap: function () {
             var SQUARE_SIZE = 1, map;
@@ -120,7 +330,7 @@ ymaps.ready(function () {
             map = new ymaps.Map(
                 this._container,
                 {
-                    behaviors: ['drag', 'scrollZoom', 'multiTouch'],
+                    behaviors: this._options.static ? [] : this._options.behaviors,
                     controls: [],
                     center: this._state.center,
                     zoom: this._state.zoom
@@ -142,19 +352,408 @@ ymaps.ready(function () {
             );
             return map;
         },
+        _hasStation: function (code) {
+            return Boolean(this.stations.getByCode(code));
+        },
         /**
-         * Fades in the map without an animation
+         * Fades in the map.
+         * Fires 'shadechange' event at the beginning of the animation
+         *
+         * @param {Object} [options]
+         * @param {Boolean|Number} [options.animate = false] Animation or its duration in ms
+         *
+         * @returns {ymaps.vow.Promise} Resolves when the animation ends
          */
-        shade: function () {
-            this._schemeView.fadeIn();
+        shade: function (options) {
+            var promise;
+
+            this._state.shaded = true;
+            promise = this._schemeView.fadeIn(this._options.shadeStyle, getDuration(options && options.animate));
             this.events.fire('shadechange', {type: 'shade', target: this});
+
+            return promise;
         },
         /**
-         * Fades out the map without an animation
+         * Fades out the map.
+         * Fires 'shadechange' event at the beginning of the animation
+         *
+         * @param {Object} [options]
+         * @param {Boolean|Number} [options.animate = false] Animation or its duration in ms
+         *
+         * @returns {ymaps.vow.Promise} Resolves when the animation ends
          */
-        unshade: function () {
-            this._schemeView.fadeOut();
+        unshade: function (options) {
+            var promise;
+
+            this._state.shaded = false;
+            promise = this._schemeView.fadeOut(getDuration(options && options.animate));
             this.events.fire('shadechange', {type: 'unshade', target: this});
+
+            return promise;
+        },
+        /**
+         * Changes the look of the shaded scheme.
+         * Is applied at once, if the map is shaded
+         *
+         * @param {Object} style Css properties, e.g. {opacity: 0.3}
+         */
+        setShadeStyle: function (style) {
+            this._options.shadeStyle = style;
+            if (this._state.shaded) {
+                this._schemeView.fadeIn(style);
+            }
+        },
+        /**
+         * Returns the current state of the map.
+         * The state can be restored by "setState"
+         *
+         * @returns {Object} state
+         * @returns {Array<Number>} state.center
+         * @returns {Number} state.zoom
+         * @returns {Boolean} state.shaded
+         * @returns {Array<Number>} state.selection
+         */
+        getState: function () {
+            return {
+                center: this.getCenter().slice(),
+                zoom: this.getZoom(),
+                shaded: this._state.shaded,
+                selection: this.stations.getSelection()
+            };
+        },
+        /**
+         * Applies a state, all fields are optional.
+         * Unknown station codes in a selection are ignored
+         *
+         * @param {Object} state
+         * @param {Array<Number>} [state.center]
+         * @param {Number} [state.zoom]
+         * @param {Boolean} [state.shaded]
+         * @param {Array<Number>} [state.selection]
+         * @param {Object} [options]
+         * @param {Boolean|Number} [options.animate = false] Animation or its duration in ms
+         *
+         * @returns {ymaps.vow.Promise} Resolves when the map is moved and all animations end
+         */
+        setState: function (state, options) {
+            var selection, promises = [];
+
+            options = options || {};
+
+            if (state.selection) {
+                selection = [].concat(state.selection).filter(function (code) {
+                    return this.stations.getByCode(code);
+                }, this);
+
+                promises.push(this.stations.setSelection(selection, options));
+            }
+            if (state.hasOwnProperty('shaded') && Boolean(state.shaded) !== this._state.shaded) {
+                promises.push(this[state.shaded ? 'shade' : 'unshade'](options));
+            }
+            if (state.center || state.hasOwnProperty('zoom')) {
+                promises.push(this._map.setCenter(
+                    state.center || this.getCenter(),
+                    state.hasOwnProperty('zoom') ? state.zoom : this.getZoom(),
+                    {duration: getDuration(options.animate)}
+                ));
+            }
+
+            return ymaps.vow.all(promises).then(function () {});
+        },
+        /**
+         * Restores the state from "location.hash"
+         * and keeps them in sync
+         *
+         * @returns {vow.Promise} Resolved when the initial state is applied
+         */
+        _enableHashSync: function () {
+            this._hash = null;
+            this._hashApplying = false;
+            this._onHashChange = this._onHashChange.bind(this);
+
+            window.addEventListener('hashchange', this._onHashChange);
+            this.events.add(['boundschange', 'selectionchange', 'shadechange'], this._writeHash, this);
+
+            return this._onHashChange();
+        },
+        /**
+         * Applies the current hash. The state is written back only
+         * after it is fully applied, otherwise events fired in the middle
+         * of an animation would overwrite the incoming hash
+         *
+         * @returns {vow.Promise}
+         */
+        _onHashChange: function () {
+            var hash = window.location.hash.replace(/^#/, '');
+
+            if (hash === this._hash) {
+                return ymaps.vow.fulfill();
+            }
+
+            this._hash = hash;
+            this._hashApplying = true;
+
+            return this.setState(this._parseHash(hash)).always(function () {
+                // a newer hash is already on its way
+                if (this._hash === hash) {
+                    this._hashApplying = false;
+                    this._writeHash();
+                }
+            }.bind(this));
+        },
+        _writeHash: function () {
+            var hash;
+
+            if (this._hashApplying) {
+                return;
+            }
+
+            hash = this._stringifyHash(this.getState(), window.location.hash.replace(/^#/, ''));
+
+            if (hash !== this._hash) {
+                this._hash = hash;
+                // "replace" doesn't spam the history on every drag
+                window.location.replace('#' + hash);
+            }
+        },
+        /**
+         * Parses a hash like "center=0.1,-0.2&zoom=1.5&selection=1,2&shaded=1".
+         * Only present fields are returned
+         *
+         * @param {String} hash
+         *
+         * @returns {Object} state
+         */
+        _parseHash: function (hash) {
+            var state = {};
+
+            hash.split('&').forEach(function (pair) {
+                var key = pair.split('=')[0],
+                    values = decodeURIComponent(pair.split('=')[1] || '')
+                        .split(',')
+                        .filter(Boolean)
+                        .map(Number);
+
+                switch (key) {
+                case 'center':
+                    if (values.length === 2 && !values.some(isNaN)) {
+                        state.center = values;
+                    }
+                    break;
+                case 'zoom':
+                    if (values.length === 1 && !isNaN(values[0])) {
+                        state.zoom = values[0];
+                    }
+                    break;
+                case 'selection':
+                    state.selection = values.filter(function (code) {
+                        return !isNaN(code);
+                    });
+                    break;
+                case 'shaded':
+                    state.shaded = Boolean(values[0]);
+                    break;
+                }
+            });
+
+            return state;
+        },
+        /**
+         * Writes a state into a hash.
+         * Foreign parameters of the hash are kept
+         *
+         * @param {Object} state
+         * @param {String} hash Current hash
+         *
+         * @returns {String}
+         */
+        _stringifyHash: function (state, hash) {
+            var KEYS = ['center', 'zoom', 'selection', 'shaded'],
+                pairs = hash.split('&').filter(function (pair) {
+                    return pair && KEYS.indexOf(pair.split('=')[0]) === -1;
+                });
+
+            return pairs.concat([
+                'center=' + state.center.map(function (value) {
+                    return Number(value.toFixed(5));
+                }).join(','),
+                'zoom=' + Number(state.zoom.toFixed(3)),
+                'selection=' + state.selection.join(','),
+                'shaded=' + Number(state.shaded)
+            ]).join('&');
+        },
+        /**
+         * Finds the fastest route between two stations
+         * and draws it above the shade.
+         * Previous route is cleared.
+         * The route is found again, when statuses of stations or lines change.
+         * Fires 'routechange' event
+         *
+         * @param {Number} from Code of the departure station
+         * @param {Number} to Code of the arrival station
+         * @param {Object} [options]
+         * @param {Function} [options.excludeFromRoute] Overrides "excludeFromRoute" option of the map
+         *
+         * @returns {ymaps.vow.Promise} Resolves to a route object
+         * @see Router#route
+         */
+        route: function (from, to, options) {
+            var route;
+
+            try {
+                route = this._findRoute(from, to, options);
+            } catch (e) {
+                return ymaps.vow.reject(e);
+            }
+            this._showRoute(route, options);
+
+            return ymaps.vow.fulfill(route);
+        },
+        /**
+         * @see TransportMap#route
+         *
+         * @returns {Object} Route object, that is not drawn
+         * @throws {Error} Unknown or excluded station, no route
+         */
+        _findRoute: function (from, to, options) {
+            var exclusion = this._getRouteExclusion(options),
+                excluded = [from, to].filter(function (code) {
+                    return exclusion.stations.indexOf(Number(code)) !== -1;
+                }),
+                route;
+
+            if (!this.stations.getByCode(from) || !this.stations.getByCode(to)) {
+                throw new Error('Unknown station code');
+            }
+            if (excluded.length) {
+                throw new Error('Station ' + excluded[0] + ' is excluded from routes');
+            }
+            route = this._router.route(from, to, exclusion);
+            if (!route) {
+                throw new Error('No route from ' + from + ' to ' + to);
+            }
+
+            return route;
+        },
+        _showRoute: function (route, options) {
+            this._dropRoute();
+            this._route = route;
+            this._routeOptions = options;
+            this._routeHighlight = new PathHighlight(this._schemeView, this._router, route.stationIds);
+            this._routeHighlight.show();
+
+            this.events.fire('routechange', {type: 'route', target: this, route: route});
+        },
+        /**
+         * Stations and lines, that routes should avoid
+         *
+         * @param {Object} [options]
+         * @param {Function} [options.excludeFromRoute] Overrides "excludeFromRoute" option of the map
+         *
+         * @returns {Object} {stations: Array<Number>, lines: Array<String>}
+         */
+        _getRouteExclusion: function (options) {
+            var excludeFromRoute = (options && options.excludeFromRoute) || this._options.excludeFromRoute;
+
+            return {
+                stations: this.stations.getAll().filter(excludeFromRoute).map(function (station) {
+                    return station.code;
+                }),
+                lines: this.lines.getAll().filter(excludeFromRoute).map(function (line) {
+                    return line.id;
+                })
+            };
+        },
+        /**
+         * Keeps the route and the highlighted path
+         * away from stations and lines, that became excluded.
+         * A route, that can't be found anymore, is cleared
+         */
+        _onStatusChange: function () {
+            var route = this._route,
+                options = this._routeOptions,
+                newRoute;
+
+            if (route) {
+                try {
+                    newRoute = this._findRoute(route.stations[0], route.stations[route.stations.length - 1], options);
+                } catch (e) {
+                    this.clearRoute();
+                }
+                if (newRoute && newRoute.stationIds.join() !== route.stationIds.join()) {
+                    this._showRoute(newRoute, options);
+                }
+            }
+            if (this._pathHighlight) {
+                this.highlightPath(this._pathCodes, this._pathOptions);
+            }
+        },
+        /**
+         * Returns the current route
+         *
+         * @returns {Object|null}
+         */
+        getRoute: function () {
+            return this._route;
+        },
+        /**
+         * Removes the current route from the scheme.
+         * Fires 'routechange' event
+         * If there is no route - nothing happens
+         */
+        clearRoute: function () {
+            if (this._route) {
+                this._dropRoute();
+                this.events.fire('routechange', {type: 'clear', target: this, route: null});
+            }
+        },
+        _dropRoute: function () {
+            if (this._route) {
+                this._routeHighlight.hide();
+                this._routeHighlight = null;
+                this._route = null;
+                this._routeOptions = null;
+            }
+        },
+        /**
+         * Highlights an ordered path of stations above the shade,
+         * including links and transfers between them.
+         * Gaps between non-neighbouring stations are filled with the fastest routes,
+         * that avoid excluded stations and lines like "route" does.
+         * Previous path is cleared
+         *
+         * @param {Array<Number>} codes Ordered station codes
+         * @param {Object} [options]
+         * @param {Function} [options.excludeFromRoute] Overrides "excludeFromRoute" option of the map
+         *
+         * @throws {Error} Unknown station code
+         */
+        highlightPath: function (codes, options) {
+            codes.forEach(function (code) {
+                if (!this.stations.getByCode(code)) {
+                    throw new Error('Unknown station code ' + code);
+                }
+            }, this);
+
+            this.clearHighlight();
+            this._pathCodes = codes.slice();
+            this._pathOptions = options;
+            this._pathHighlight = new PathHighlight(
+                this._schemeView,
+                this._router,
+                this._router.getPath(codes, this._getRouteExclusion(options))
+            );
+            this._pathHighlight.show();
+        },
+        /**
+         * Removes the highlighted path.
+         * All nodes return to their original positions
+         */
+        clearHighlight: function () {
+            if (this._pathHighlight) {
+                this._pathHighlight.hide();
+                this._pathHighlight = null;
+            }
         },
         /**
          * Returns coordinates of a center in abstract scheme coordinates
@@ -201,470 +800,3892 @@ ymaps.ready(function () {
             return this._map.setZoom.apply(this._map, arguments);
         },
         /**
-         * @returns {Number}
+         * @returns {Number|String}
          */
         getSchemeId: function () {
             return this._schemeId;
         },
-        _schemeIdByCity: {
-            moscow: 1,
-            spb: 2,
-            kiev: 8,
-            kharkov: 9,
-            minsk: 13
-        },
         /**
-         * Get current map instance.
-         * Can be used for adding controls
+         * Moves and zooms the map to fit stations into the container
          *
-         * @returns ymaps.Map
+         * @param {Array<Number>|Number} [codes] Station codes, the selection by default
+         * @param {Object} [options]
+         * @param {Boolean|Number} [options.animate = false] Animation or its duration in ms
+         * @param {Number|Array<Number>} [options.margin = 20] Margin in pixels
+         *
+         * @returns {ymaps.vow.Promise} Resolves when the map is moved
          */
-        getMap: function () {
-            return this._map;
-        },
-        destroy: function () {
-            this._map.destroy();
-        }
-    };
+        focusOn: function (codes, options) {
+            var stations;
 
-    ymaps.createTransportMap = function (alias, container, state, options) {
-        return new TransportMap(alias, container, state, options);
-    };
+            options = ymaps.util.extend({animate: false, margin: 20}, options);
+            stations = [].concat(codes === undefined ? this.stations.getSelection() : codes)
+                .map(function (code) {
+                    return this.stations.getByCode(code);
+                }, this);
 
-    /**
-     * Creates a layer with a scheme,
-     * that should be added to the map.
-     * Proxies events from a map to the SchemeView
-     *
-     * @constructor
-     * @inherits ymaps.collection.Item
-     *
-     * @param {SchemeView} schemeView
-     */
-    function SchemeLayer(schemeView) {
-        SchemeLayer.superclass.constructor.call(this);
+            if (stations.some(function (station) {
+                return !station;
+            })) {
+                return ymaps.vow.reject(new Error('Unknown station code'));
+            }
+            if (!stations.length) {
+                return ymaps.vow.fulfill();
+            }
 
-        this._schemeView = schemeView;
-    }
-    ymaps.util.augment(SchemeLayer, ymaps.collection.Item, {
+            return this._map.setBounds(Station.joinBounds(stations.map(function (station) {
+                return station.getBounds();
+            })), {
+                zoomMargin: options.margin,
+                preciseZoom: true,
+                checkZoomRange: true,
+                duration: getDuration(options.animate)
+            });
+        },
         /**
-         * Init function. Sets everything when a layer is added to the map
+         * Exports the scheme with the current selection, shading, highlights and markers
+         * as a standalone image
          *
-         * @override ymaps.collection.Item
+         * @param {Object} [options]
+         * @param {String} [options.format = 'svg'] 'svg' or 'png'
+         * @param {String} [options.area = 'viewport'] 'viewport' – the visible part, 'full' – the whole scheme
+         * @param {Number} [options.scale = 1] Image size relative to the container for 'viewport'
+         *  and to the scheme size for 'full'
+         * @param {Boolean} [options.markers = true] Include station markers.
+         *  Markers keep only inline styles and may prevent png export in some browsers
+         *
+         * @returns {ymaps.vow.Promise} Resolves to an svg string or a png Blob
          */
-        onAddToMap: function (map) {
-            var ground;
-            SchemeLayer.superclass.onAddToMap.call(this, map);
+        exportImage: function (options) {
+            var metadata = this._schemeView.getMetaData(),
+                viewBox, width, height, node, styleNode, topLeft, bottomRight, bounds;
 
-            map.events.add('actiontick', function (e) {
-                var tick = e.get('tick');
+            options = ymaps.util.extend({format: 'svg', area: 'viewport', scale: 1, markers: true}, options);
 
-                this._schemeView.setTranslate(tick.globalPixelCenter);
-                this._schemeView.setScale(SchemeLayer.getScaleFromZoom(tick.zoom));
-            }.bind(this));
+            if (options.area === 'full') {
+                viewBox = [0, 0, metadata.width, metadata.height];
+                width = metadata.width * options.scale;
+                height = metadata.height * options.scale;
+            } else {
+                bounds = this._map.getBounds();
+                topLeft = this._toSchemePixels(bounds[0]);
+                bottomRight = this._toSchemePixels(bounds[1]);
+                viewBox = [
+                    Math.min(topLeft[0], bottomRight[0]),
+                    Math.min(topLeft[1], bottomRight[1]),
+                    Math.abs(bottomRight[0] - topLeft[0]),
+                    Math.abs(bottomRight[1] - topLeft[1])
+                ];
+                width = this._container.clientWidth * options.scale;
+                height = this._container.clientHeight * options.scale;
+            }
 
-            this._schemeView.setBaseSize(SchemeLayer.SQUARE_SIZE, SchemeLayer.SQUARE_SIZE);
+            node = cloneScheme(this._schemeView.getNode(), viewBox, width, height);
+            // statuses are drawn by classes, page styles don't reach a standalone image
+            styleNode = document.createElementNS('http://www.w3.org/2000/svg', 'style');
+            styleNode.appendChild(document.createTextNode(Station.STATUS_STYLE));
+            node.insertBefore(styleNode, node.firstChild);
+            if (options.markers) {
+                this._exportMarkers(node, options.scale * viewBox[2] / width);
+            }
+
+            if (options.format === 'png') {
+                return rasterizeSvg(new XMLSerializer().serializeToString(node), width, height);
+            }
+            return ymaps.vow.fulfill(new XMLSerializer().serializeToString(node));
+        },
+        /**
+         * Converts map coordinates to pixels of the scheme image
+         *
+         * @param {Array<Number>} point
+         *
+         * @returns {Array<Number>}
+         */
+        _toSchemePixels: function (point) {
+            var metadata = this._schemeView.getMetaData(),
+                baseZoom = - SchemeLayer.getZoomFromScale(this._schemeView.getBaseScale()),
+                pixels = this._map.options.get('projection').toGlobalPixels(point, baseZoom);
+
+            return [pixels[0] + metadata.width / 2, pixels[1] + metadata.height / 2];
+        },
+        /**
+         * Copies markers into "foreignObject"s of the exported scheme
+         *
+         * @param {SVGElement} node Exported scheme
+         * @param {Number} unitsPerPixel Size of a marker pixel in the scheme units
+         */
+        _exportMarkers: function (node, unitsPerPixel) {
+            var SVG_NS = 'http://www.w3.org/2000/svg',
+                layerNode = document.createElementNS(SVG_NS, 'g');
+
+            layerNode.setAttribute('id', 'markers-layer');
+            this.stations.each(function (station) {
+                var center = this._toSchemePixels(station.getCenter());
+
+                station.getMarkers().forEach(function (marker) {
+                    var contentNode = marker.getElement().firstChild,
+                        size = [contentNode.offsetWidth, contentNode.offsetHeight],
+                        offset = marker.getOffset(),
+                        markerNode = document.createElementNS(SVG_NS, 'foreignObject'),
+                        wrapperNode = document.createElementNS(SVG_NS, 'g');
+
+                    wrapperNode.setAttribute('transform',
+                        'translate(' + center.join(' ') + ') scale(' + unitsPerPixel + ')');
+                    markerNode.setAttribute('x', offset[0] - size[0] / 2);
+                    markerNode.setAttribute('y', offset[1] - size[1] / 2);
+                    markerNode.setAttribute('width', size[0]);
+                    markerNode.setAttribute('height', size[1]);
+                    markerNode.appendChild(contentNode.cloneNode(true));
+                    markerNode.firstChild.setAttribute('xmlns', 'http://www.w3.org/1999/xhtml');
+
+                    wrapperNode.appendChild(markerNode);
+                    layerNode.appendChild(wrapperNode);
+                });
+            }, this);
+
+            node.appendChild(layerNode);
+        },
+        /**
+         * Returns a copy of the scheme data in a stable format, @see README "Scheme data".
+         * Positions are in pixels of the scheme image, from its top left corner.
+         * They are measured with "getBBox", so the container should be rendered:
+         * in a hidden one browsers return zero boxes or throw
+         *
+         * @returns {Object} {version, width, height, stations, lines, links, transfers}
+         */
+        getSchemeData: function () {
+            var metadata = this._schemeView.getMetaData(),
+                scheme = this._schemeView.getScheme();
+
+            function getEdges(edges, fields) {
+                return Object.keys(edges || {}).map(function (id) {
+                    var data = {
+                        id: id,
+                        fromStationId: edges[id].fromStationId,
+                        toStationId: edges[id].toStationId,
+                        time: edges[id].hasOwnProperty('time') ? edges[id].time : null
+                    };
+
+                    // like "time", a missing field is null
+                    (fields || []).forEach(function (field) {
+                        data[field] = edges[id][field] === undefined ? null : String(edges[id][field]);
+                    });
+                    return data;
+                });
+            }
+            function getBounds(nodes) {
+                return Station.joinBounds(nodes.map(function (node) {
+                    var bbox = node.getBBox();
+
+                    return [[bbox.x, bbox.y], [bbox.x + bbox.width, bbox.y + bbox.height]];
+                }));
+            }
+
+            return {
+                version: TransportMap.SCHEME_DATA_VERSION,
+                width: metadata.width,
+                height: metadata.height,
+                stations: this.stations.getAll().map(function (station) {
+                    var platformBounds = getBounds(scheme.getStationNodes(station.code));
+
+                    return {
+                        code: station.code,
+                        name: station.title,
+                        platforms: station.getPlatforms(),
+                        lines: station.getLines().map(function (line) {
+                            return line.id;
+                        }),
+                        position: [
+                            (platformBounds[0][0] + platformBounds[1][0]) / 2,
+                            (platformBounds[0][1] + platformBounds[1][1]) / 2
+                        ],
+                        labelBounds: getBounds([station.getLabelNode()]),
+                        geo: station.getGeoCoordinates()
+                    };
+                }),
+                lines: this.lines.getAll().map(function (line) {
+                    return {
+                        id: line.id,
+                        name: line.name,
+                        color: line.color,
+                        stations: line.getStationCodes()
+                    };
+                }),
+                links: getEdges(metadata.links, ['lineId']),
+                transfers: getEdges(metadata.transfers)
+            };
+        },
+        /**
+         * Get current map instance.
+         * Can be used for adding controls
+         *
+         * @returns ymaps.Map
+         */
+        getMap: function () {
+            return this._map;
+        },
+        destroy: function () {
+            if (this._options.hash) {
+                window.removeEventListener('hashchange', this._onHashChange);
+            }
+            if (this._keyboardNavigation) {
+                this._keyboardNavigation.destroy();
+            }
+            this._map.destroy();
+        }
+    };
+    /**
+     * Is increased on incompatible changes of "TransportMap#getSchemeData" result
+     */
+    TransportMap.SCHEME_DATA_VERSION = 1;
+    /**
+     * Default routing exclusion: closed stations and lines
+     *
+     * @param {Station|Line} target
+     *
+     * @returns {Boolean}
+     */
+    TransportMap.excludeFromRoute = function (target) {
+        return target.hasStatus('closed');
+    };
+
+    ymaps.createTransportMap = function (alias, container, state, options) {
+        return new TransportMap(alias, container, state, options);
+    };
+
+    /**
+     * Registry of cities, that can be shown on a map.
+     * Is exposed as "ymaps.transportMap.cities"
+     *
+     * @constructor
+     */
+    function CityRegistry() {
+        this._cities = {};
+    }
+    CityRegistry.prototype = {
+        /**
+         * Adds a new city or replaces an existing one
+         *
+         * @param {String} alias (e.g. 'minsk', 'moscow')
+         * @param {Object} city
+         * @param {Number|String} city.schemeId Name of a scheme file without a language
+         * @param {Array<String>} [city.languages = []] Available languages of a scheme
+         * @param {String} [city.path] A path to the scheme, overrides "options.path" of a map
+         *
+         * @returns {CityRegistry}
+         */
+        register: function (alias, city) {
+            if (!alias || !city || city.schemeId === undefined || city.schemeId === null) {
+                throw new Error('City alias and schemeId are required');
+            }
+
+            this._cities[alias] = {
+                alias: alias,
+                schemeId: city.schemeId,
+                languages: (city.languages || []).slice(),
+                path: city.path
+            };
+
+            return this;
+        },
+        /**
+         * Returns a copy of a registered city
+         *
+         * @param {String} alias
+         *
+         * @returns {Object|undefined}
+         */
+        get: function (alias) {
+            var city = this._cities.hasOwnProperty(alias) && this._cities[alias];
+
+            return city ? this._copy(city) : undefined;
+        },
+        /**
+         * Returns copies of all registered cities
+         *
+         * @returns {Array<Object>}
+         */
+        list: function () {
+            return Object.keys(this._cities).map(function (alias) {
+                return this._copy(this._cities[alias]);
+            }, this);
+        },
+        _copy: function (city) {
+            return ymaps.util.extend({}, city, {languages: city.languages.slice()});
+        }
+    };
+
+    var cities = new CityRegistry()
+        .register('moscow', {schemeId: 1, languages: ['ru', 'en']})
+        .register('spb', {schemeId: 2, languages: ['ru', 'en']})
+        .register('kiev', {schemeId: 8, languages: ['ru', 'en']})
+        .register('kharkov', {schemeId: 9, languages: ['ru', 'en']})
+        .register('minsk', {schemeId: 13, languages: ['ru', 'en']});
+
+    /**
+     * Inserts default styles into the page once.
+     * Styles go before other styles, so it is easy to override them
+     *
+     * @param {String} css
+     */
+    function insertStyle(css) {
+        var style, head = document.getElementsByTagName('head')[0];
+
+        if (insertStyle.inserted.indexOf(css) === -1) {
+            style = document.createElement('style');
+            style.appendChild(document.createTextNode(css));
+            head.insertBefore(style, head.firstChild);
+            insertStyle.inserted.push(css);
+        }
+    }
+    insertStyle.inserted = [];
+
+    /**
+     * Replaces inline styles, that were set by the previous call
+     *
+     * @param {Element} node
+     * @param {Object} style Css properties in camelCase
+     * @param {Object} [oldStyle] Style applied before
+     */
+    function applyStyle(node, style, oldStyle) {
+        var key;
+
+        for (key in oldStyle) {
+            node.style[key] = '';
+        }
+        for (key in style) {
+            node.style[key] = style[key];
+        }
+    }
+
+    /**
+     * Same as "applyStyle", but changes properties with a css transition
+     *
+     * @param {Element} node
+     * @param {Object} style Css properties in camelCase, except transitions
+     * @param {Object} [oldStyle] Style applied before
+     * @param {Number} [duration = 0] Milliseconds
+     *
+     * @returns {ymaps.vow.Promise} Resolves when the transition ends
+     */
+    function transitStyle(node, style, oldStyle, duration) {
+        // a newer transition of the node cancels the older one
+        var id = node.transportMapTransitionId = (node.transportMapTransitionId || 0) + 1;
+
+        node.style.webkitTransition = node.style.transition = duration ? 'all ' + duration + 'ms' : '';
+        applyStyle(node, style, oldStyle);
+
+        if (!duration) {
+            return ymaps.vow.fulfill();
+        }
+        return ymaps.vow.delay(null, duration).then(function () {
+            if (node.transportMapTransitionId === id) {
+                node.style.webkitTransition = node.style.transition = '';
+            }
+        });
+    }
+
+    /**
+     * Converts "animate" option to a duration
+     *
+     * @param {Boolean|Number} [animate] Animation or its duration in ms
+     *
+     * @returns {Number} Milliseconds
+     */
+    function getDuration(animate) {
+        return animate === true ? getDuration.DEFAULT : Number(animate) || 0;
+    }
+    getDuration.DEFAULT = 300;
+
+    /**
+     * Throws on anything but [latitude, longitude]
+     *
+     * @param {Array<Number>} coordinates
+     */
+    function checkGeoCoordinates(coordinates) {
+        if (!transportMapScheme.isGeoCoordinates(coordinates)) {
+            throw new Error('Wrong geo coordinates ' + coordinates);
+        }
+    }
+
+    /**
+     * Great-circle distance
+     *
+     * @param {Array<Number>} from [latitude, longitude]
+     * @param {Array<Number>} to [latitude, longitude]
+     *
+     * @returns {Number} Meters
+     */
+    function getGeoDistance(from, to) {
+        var toRadians = Math.PI / 180,
+            dLat = (to[0] - from[0]) * toRadians,
+            dLon = (to[1] - from[1]) * toRadians,
+            a = Math.pow(Math.sin(dLat / 2), 2) +
+                Math.cos(from[0] * toRadians) * Math.cos(to[0] * toRadians) * Math.pow(Math.sin(dLon / 2), 2);
+
+        return 2 * getGeoDistance.EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(a)));
+    }
+    getGeoDistance.EARTH_RADIUS = 6378137;
+
+    /**
+     * Adds or removes a css class.
+     * Works for svg nodes, which have no "classList" in some browsers
+     *
+     * @param {Element} node
+     * @param {String} className
+     * @param {Boolean} enabled
+     */
+    function toggleClass(node, className, enabled) {
+        var classes = (node.getAttribute('class') || '').split(/\s+/).filter(function (name) {
+                return name && name !== className;
+            });
+
+        if (enabled) {
+            classes.push(className);
+        }
+        node.setAttribute('class', classes.join(' '));
+    }
+
+    /**
+     * Copies a scheme node into a standalone svg:
+     * drops positioning of the map layer and shows the given area
+     *
+     * @param {SVGElement} schemeNode
+     * @param {Array<Number>} viewBox [x, y, width, height] in pixels of the scheme
+     * @param {Number} width Image width
+     * @param {Number} height Image height
+     *
+     * @returns {SVGElement}
+     */
+    function cloneScheme(schemeNode, viewBox, width, height) {
+        var node = schemeNode.cloneNode(true),
+            wrapperNode = node.querySelector('#transform-wrapper');
+
+        node.removeAttribute('style');
+        node.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+        node.setAttribute('viewBox', viewBox.join(' '));
+        node.setAttribute('width', width);
+        node.setAttribute('height', height);
+        if (wrapperNode) {
+            wrapperNode.removeAttribute('transform');
+        }
+
+        return node;
+    }
+
+    /**
+     * Draws an svg on a canvas
+     *
+     * @param {String} svg
+     * @param {Number} width
+     * @param {Number} height
+     *
+     * @returns {ymaps.vow.Promise} Resolves to a png Blob
+     */
+    function rasterizeSvg(svg, width, height) {
+        var deferred = new ymaps.vow.Deferred(),
+            image = new Image();
+
+        image.onload = function () {
+            var canvas = document.createElement('canvas'),
+                dataUrl, binary, bytes, i;
+
+            canvas.width = width;
+            canvas.height = height;
+
+            try {
+                canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+
+                if (canvas.toBlob) {
+                    canvas.toBlob(function (blob) {
+                        deferred.resolve(blob);
+                    }, 'image/png');
+                } else {
+                    dataUrl = canvas.toDataURL('image/png');
+                    binary = atob(dataUrl.split(',')[1]);
+                    bytes = new Uint8Array(binary.length);
+                    for (i = 0; i < binary.length; i++) {
+                        bytes[i] = binary.charCodeAt(i);
+                    }
+                    deferred.resolve(new Blob([bytes], {type: 'image/png'}));
+                }
+            } catch (e) {
+                // a tainted canvas
+                deferred.reject(e);
+            }
+        };
+        image.onerror = function () {
+            deferred.reject(new Error('Svg can not be rendered'));
+        };
+        image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
+
+        return deferred.promise();
+    }
+
+    /**
+     * Creates an error class, that inherits "Parent".
+     * Extra details (e.g. "status") become fields of an error
+     *
+     * @param {String} name
+     * @param {Function} Parent
+     *
+     * @returns {Function}
+     */
+    function createErrorClass(name, Parent) {
+        function CustomError(message, details) {
+            this.name = name;
+            this.message = message;
+            this.stack = new Error(message).stack;
+            ymaps.util.extend(this, details);
+        }
+        CustomError.prototype = Object.create(Parent.prototype);
+        CustomError.prototype.constructor = CustomError;
+
+        return CustomError;
+    }
+    /**
+     * Base class for all errors of a transport map
+     */
+    var TransportMapError = createErrorClass('TransportMapError', Error),
+        /**
+         * City alias is not registered. Details: city
+         */
+        UnknownCityError = createErrorClass('UnknownCityError', TransportMapError),
+        /**
+         * City has no scheme in the requested language. Details: city, lang
+         */
+        UnsupportedLanguageError = createErrorClass('UnsupportedLanguageError', TransportMapError),
+        /**
+         * Scheme could not be requested. Details: request, cause
+         */
+        NetworkError = createErrorClass('NetworkError', TransportMapError),
+        /**
+         * Server responded with an error. Details: request, status
+         */
+        HttpError = createErrorClass('HttpError', TransportMapError),
+        /**
+         * Loading took more than "options.timeout". Details: request, timeout
+         */
+        TimeoutError = createErrorClass('TimeoutError', TransportMapError),
+        /**
+         * Loaded source is not a well-formed svg. Details: request
+         */
+        SchemeParseError = createErrorClass('SchemeParseError', TransportMapError),
+        /**
+         * Scheme has no metadata or it is broken. Details: request, cause, problems
+         */
+        MetadataError = createErrorClass('MetadataError', TransportMapError);
+
+    /**
+     * Loads scheme images via a pluggable loader.
+     *
+     * Loader is a function, that accepts a request
+     * {city: String, schemeId: Number|String, lang: String, path: String}
+     * and returns an svg string, an SVGElement, a Document
+     * or a promise (any thenable) for one of them.
+     *
+     * Parsed images are cached in memory and shared between maps,
+     * every map gets its own copy of a cached image
+     *
+     * @constructor
+     *
+     * @param {Function} loader
+     * @param {Object} [options]
+     * @param {Boolean} [options.cache = true]
+     * @param {Number} [options.timeout = 0] Milliseconds, 0 for no timeout
+     * @param {Number} [options.retries = 0]
+     */
+    function SchemeLoader(loader, options) {
+        this._loader = loader;
+        this._options = ymaps.util.extend({
+            cache: true,
+            timeout: 0,
+            retries: 0
+        }, options);
+    }
+    SchemeLoader.prototype = {
+        /**
+         * @param {Object} request
+         * @param {String} request.city
+         * @param {Number|String} request.schemeId
+         * @param {String} request.lang
+         * @param {String} request.path
+         *
+         * @returns {ymaps.vow.Promise} Resolves to a new SVGElement,
+         *  rejects with a TransportMapError
+         */
+        load: function (request) {
+            var key = [request.path, request.schemeId, request.lang].join('|'),
+                cached;
+
+            if (!this._options.cache) {
+                return this._load(request, this._options.retries);
+            }
+
+            cached = SchemeLoader.cache.filter(function (entry) {
+                return entry.loader === this._loader && entry.key === key;
+            }, this)[0];
+
+            if (!cached) {
+                cached = {
+                    loader: this._loader,
+                    key: key,
+                    promise: this._load(request, this._options.retries)
+                };
+                SchemeLoader.cache.push(cached);
+                // failures are not cached, so the next map can try again
+                cached.promise.fail(function () {
+                    SchemeLoader.cache.splice(SchemeLoader.cache.indexOf(cached), 1);
+                });
+            }
+
+            return cached.promise.then(function (node) {
+                return node.cloneNode(true);
+            });
+        },
+        _load: function (request, retries) {
+            return this._request(request).then(function (source) {
+                var node = SchemeLoader.parse(source, request);
+
+                SchemeLoader.validate(node, request);
+
+                return node;
+            }).fail(function (e) {
+                if (retries && SchemeLoader.isRetriable(e)) {
+                    return this._load(request, retries - 1);
+                }
+                throw e;
+            }.bind(this));
+        },
+        /**
+         * Calls the loader with a timeout.
+         * Unknown failures of a loader are treated as network failures.
+         * After a timeout the loader is notified via "request.aborted"
+         * and its late result is ignored
+         */
+        _request: function (request) {
+            var loader = this._loader,
+                timeout = this._options.timeout,
+                deferred = new ymaps.vow.Deferred(),
+                abort = new ymaps.vow.Deferred(),
+                timedOut = false,
+                timer;
+
+            if (timeout) {
+                timer = setTimeout(function () {
+                    timedOut = true;
+                    deferred.reject(new TimeoutError(
+                        'Scheme loading timed out after ' + timeout + 'ms',
+                        {request: request, timeout: timeout}
+                    ));
+                    abort.resolve();
+                }, timeout);
+            }
+
+            ymaps.vow.resolve().then(function () {
+                return loader(ymaps.util.extend({}, request, {aborted: abort.promise()}));
+            }).then(function (source) {
+                if (timedOut) {
+                    return;
+                }
+                clearTimeout(timer);
+                deferred.resolve(source);
+            }, function (e) {
+                if (timedOut) {
+                    return;
+                }
+                clearTimeout(timer);
+                deferred.reject(e instanceof TransportMapError ?
+                    e :
+                    new NetworkError('Scheme loading failed', {request: request, cause: e})
+                );
+            });
+
+            return deferred.promise();
+        }
+    };
+    /**
+     * Parsed schemes shared between all maps
+     */
+    SchemeLoader.cache = [];
+    /**
+     * Turns a loaded source into an SVGElement
+     *
+     * @param {String|Document|SVGElement} source
+     * @param {Object} request
+     *
+     * @returns {SVGElement}
+     * @throws {SchemeParseError}
+     */
+    SchemeLoader.parse = function (source, request) {
+        if (typeof source === 'string') {
+            source = new window.DOMParser().parseFromString(source, 'text/xml');
+        }
+        if (source && source.documentElement) {
+            source = source.documentElement;
+        }
+        if (
+            !source ||
+            source.localName !== 'svg' ||
+            source.getElementsByTagName('parsererror').length
+        ) {
+            throw new SchemeParseError('Scheme is not a well-formed svg', {request: request});
+        }
+
+        return source;
+    };
+    /**
+     * Checks that a scheme contains readable metadata
+     *
+     * @param {SVGElement} node
+     * @param {Object} request
+     *
+     * @throws {MetadataError}
+     */
+    SchemeLoader.validate = function (node, request) {
+        var metadataNode = node.getElementsByTagName('metadata')[0],
+            metadata, problems;
+
+        if (!metadataNode || !metadataNode.firstChild) {
+            throw new MetadataError('Scheme has no metadata', {request: request});
+        }
+        try {
+            metadata = JSON.parse(metadataNode.firstChild.data);
+        } catch (e) {
+            throw new MetadataError('Scheme metadata is not a valid JSON', {request: request, cause: e});
+        }
+        problems = transportMapScheme.validateMetaData(metadata);
+        if (problems.length) {
+            throw new MetadataError(problems[0], {request: request, problems: problems});
+        }
+    };
+    /**
+     * Network failures, timeouts and server errors can be retried
+     *
+     * @param {Error} e
+     *
+     * @returns {Boolean}
+     */
+    SchemeLoader.isRetriable = function (e) {
+        return e instanceof NetworkError ||
+            e instanceof TimeoutError ||
+            (e instanceof HttpError && e.status >= 500);
+    };
+    /**
+     * Default loader.
+     * Requests "{path}{schemeId}.{lang}.svg" from the server
+     * and aborts the request when "request.aborted" is fulfilled
+     *
+     * @param {Object} request
+     *
+     * @returns {ymaps.vow.Promise} Resolves to an svg string
+     */
+    SchemeLoader.xhr = function (request) {
+        var xhr = new XMLHttpRequest(),
+            deferred = new ymaps.vow.Deferred();
+
+        xhr.onreadystatechange = function () {
+            if (xhr.readyState !== 4) {
+                return;
+            }
+            // local files are served with status 0
+            if ((xhr.status >= 200 && xhr.status < 300) || (xhr.status === 0 && xhr.responseText)) {
+                deferred.resolve(xhr.responseText);
+            } else if (xhr.status) {
+                deferred.reject(new HttpError(
+                    'Scheme request failed with status ' + xhr.status,
+                    {request: request, status: xhr.status}
+                ));
+            } else {
+                deferred.reject(new NetworkError('Scheme request failed', {request: request}));
+            }
+        };
+        xhr.onerror = function (e) {
+            deferred.reject(new NetworkError('Scheme request failed', {request: request, cause: e}));
+        };
+        xhr.open('GET', [
+            request.path,
+            request.schemeId, '.', request.lang, '.svg'
+        ].join(''), true);
+        xhr.send(null);
+
+        if (request.aborted) {
+            request.aborted.then(function () {
+                xhr.onreadystatechange = xhr.onerror = null;
+                xhr.abort();
+            });
+        }
+
+        return deferred.promise();
+    };
+
+    /**
+     * Namespace for the public helpers
+     */
+    ymaps.transportMap = {
+        cities: cities,
+        SearchControl: SearchControl,
+        loaders: {
+            xhr: SchemeLoader.xhr
+        },
+        excludeFromRoute: TransportMap.excludeFromRoute,
+        errors: {
+            TransportMapError: TransportMapError,
+            UnknownCityError: UnknownCityError,
+            UnsupportedLanguageError: UnsupportedLanguageError,
+            NetworkError: NetworkError,
+            HttpError: HttpError,
+            TimeoutError: TimeoutError,
+            SchemeParseError: SchemeParseError,
+            MetadataError: MetadataError
+        }
+    };
+
+    /**
+     * Creates a layer with a scheme,
+     * that should be added to the map.
+     * Proxies events from a map to the SchemeView
+     *
+     * @constructor
+     * @inherits ymaps.collection.Item
+     *
+     * @param {SchemeView} schemeView
+     */
+    function SchemeLayer(schemeView) {
+        SchemeLayer.superclass.constructor.call(this);
+
+        this._schemeView = schemeView;
+    }
+    ymaps.util.augment(SchemeLayer, ymaps.collection.Item, {
+        /**
+         * Init function. Sets everything when a layer is added to the map
+         *
+         * @override ymaps.collection.Item
+         */
+        onAddToMap: function (map) {
+            var ground;
+            SchemeLayer.superclass.onAddToMap.call(this, map);
+
+            map.events.add('actiontick', this._onActionTick, this);
+
+            this._schemeView.setBaseSize(SchemeLayer.SQUARE_SIZE, SchemeLayer.SQUARE_SIZE);
             this._schemeView.setTranslate(map.getGlobalPixelCenter());
             this._schemeView.setScale(SchemeLayer.getScaleFromZoom(map.getZoom()));
             this._centerScheme();
 
-            ground = map.panes.get('ground').getElement();
-            ground.parentNode.insertBefore(this._schemeView.getNode(), ground);
+            ground = map.panes.get('ground').getElement();
+            ground.parentNode.insertBefore(this._schemeView.getNode(), ground);
+        },
+        /**
+         * @override ymaps.collection.Item
+         */
+        onRemoveFromMap: function (oldMap) {
+            var node = this._schemeView.getNode();
+
+            oldMap.events.remove('actiontick', this._onActionTick, this);
+            node.parentNode.removeChild(node);
+
+            SchemeLayer.superclass.onRemoveFromMap.call(this, oldMap);
+        },
+        _onActionTick: function (e) {
+            var tick = e.get('tick');
+
+            this._schemeView.setTranslate(tick.globalPixelCenter);
+            this._schemeView.setScale(SchemeLayer.getScaleFromZoom(tick.zoom));
+        },
+        _centerScheme: function () {
+            var BOUNDS = -99999;
+
+            ymaps.util.extend(this._schemeView.getNode().style, {
+                position: 'absolute',
+                margin: 'auto',
+                top: BOUNDS + 'px',
+                bottom: BOUNDS  + 'px',
+                left: BOUNDS  + 'px',
+                right: BOUNDS  + 'px'
+            });
+        }
+    });
+    /**
+     * Calculates zoom to fit the layer into the container
+     *
+     * @param {HTMLElement} containerNode
+     *
+     * @returns {Number}
+     */
+    SchemeLayer.getFitZoom = function (containerNode) {
+        return this.getZoomFromScale(Math.min(
+            containerNode.clientWidth / this.SQUARE_SIZE,
+            containerNode.clientHeight / this.SQUARE_SIZE
+        ));
+    };
+    /**
+     * Size of the layer with zoom = 0
+     *
+     * @see http://api.yandex.ru/maps/doc/jsapi/beta/ref/reference/projection.Cartesian.xml
+     */
+    SchemeLayer.SQUARE_SIZE = 256;
+    /**
+     * Translates an image scale into a map zoom
+     *
+     * @param {Number} zoom
+     *
+     * @returns {Number}
+     */
+    SchemeLayer.getScaleFromZoom = function (zoom) {
+        return Math.pow(2, zoom);
+    };
+    /**
+     * Translates a map zoom into an image scale
+     *
+     * @param {Number} zoom
+     *
+     * @returns {Number}
+     */
+    SchemeLayer.getZoomFromScale = function (scale) {
+        return Math.log(scale) * Math.LOG2E;
+    };
+
+    /**
+     * View on a scheme image.
+     * Responsible for moving, scaling and animations.
+     * Metadata, highlight layers and nodes lookup
+     * are delegated to the DOM-independent "transportMapScheme.Scheme"
+     *
+     * @constructor
+     *
+     * @param {SVGElement} scheme Root node of a scheme image
+     */
+    function SchemeView(node) {
+        this._node = node;
+        this._scheme = new transportMapScheme.Scheme(node);
+        this._baseScale = 1;
+        this._relativeScale = 1;
+    }
+    SchemeView.prototype = {
+        getWidth: function () {
+            var scale = this._relativeScale * this._baseScale,
+                metadata = this.getMetaData();
+
+            return metadata.width * scale;
+        },
+        getHeight: function () {
+            var scale = this._relativeScale * this._baseScale,
+                metadata = this.getMetaData();
+
+            return metadata.height * scale;
+        },
+        /**
+         * @param {Number} [duration = 0] Milliseconds
+         *
+         * @returns {ymaps.vow.Promise} Resolves when the transition ends
+         */
+        fadeOut: function (duration) {
+            var oldStyle = this._shadeStyle;
+
+            this._shadeStyle = {};
+            return transitStyle(this._scheme.getShadeNode(), {}, oldStyle, duration);
+        },
+        /**
+         * @param {Object} [style = SchemeView.SHADE_STYLE] Css of the shaded layer
+         * @param {Number} [duration = 0] Milliseconds
+         *
+         * @returns {ymaps.vow.Promise} Resolves when the transition ends
+         */
+        fadeIn: function (style, duration) {
+            var oldStyle = this._shadeStyle;
+
+            this._shadeStyle = ymaps.util.extend({}, style || SchemeView.SHADE_STYLE);
+            return transitStyle(this._scheme.getShadeNode(), this._shadeStyle, oldStyle, duration);
+        },
+        /**
+         * Sets the base size of a scheme image.
+         * Scaling will be relative to this size
+         *
+         * For example SchemeLayer is 256x256 by default
+         * and moscow svg image is 1080x1040,
+         * therefore SchemeLayer need to set a base size
+         * to simplify further scaling
+         *
+         * @param {Number} width
+         * @param {Number} height
+         */
+        setBaseSize: function (width, height) {
+            var metadata = this.getMetaData();
+
+            this._baseScale = Math.min(
+                width  / metadata.width,
+                height / metadata.height
+            );
+
+            this.setScale(this._relativeScale);
+        },
+        /**
+         * Returns a scale that fits the scheme into the base size.
+         *
+         * @returns {Number}
+         */
+        getBaseScale: function () {
+            return this._baseScale;
+        },
+        /**
+         * Move an image.
+         * Relative to the initial position
+         *
+         * @param {Array} vector An array of dx and dy values
+         */
+        setTranslate: function (vector) {
+            var value = 'translate(' + (- vector[0]) + 'px,' + (- vector[1]) + 'px)';
+
+            ['-webkit-', '-moz-', '-ms-', '-o-', ''].forEach(function (prefix) {
+                this._node.style[prefix + 'transform'] = value;
+            }, this);
+        },
+        /**
+         * Raw metadata, @see README "Metadata format".
+         * Public data is provided by TransportMap#getSchemeData
+         *
+         * @returns {Object}
+         */
+        getMetaData: function () {
+            return this._scheme.getMetaData();
+        },
+        /**
+         * @returns {SVGElement}
+         */
+        getNode: function () {
+            return this._node;
+        },
+        /**
+         * @returns {transportMapScheme.Scheme}
+         */
+        getScheme: function () {
+            return this._scheme;
+        },
+        /**
+         * @see transportMapScheme.Scheme#raise
+         *
+         * @param {SVGElement} node Node with an id
+         * @param {String} layer 'stations', 'labels', 'links' or 'transfers'
+         */
+        raise: function (node, layer) {
+            this._scheme.raise(node, layer);
+        },
+        /**
+         * @see transportMapScheme.Scheme#lower
+         *
+         * @param {SVGElement} node
+         */
+        lower: function (node) {
+            this._scheme.lower(node);
+        },
+        _getTransform: function () {
+            if (!this._transform) {
+                this._transform = this._node.getElementById('transform-wrapper').transform.baseVal.getItem(0);
+            }
+            return this._transform;
+        },
+        /**
+         * Scales a scheme image, relative to the base size.
+         * Base size is an image size from the metadata.
+         * Base size usually is overwrited  by "setBaseSize'
+         *
+         * @param {Number} relativeScale
+         */
+        setScale: function (relativeScale) {
+            var scale = relativeScale * this._baseScale,
+                metadata = this.getMetaData();
+
+            this._relativeScale = relativeScale;
+            this._getTransform().setScale(scale, scale);
+
+            ymaps.util.extend(this._node.style, {
+                width: (metadata.width * scale) + 'px',
+                height: (metadata.height * scale)  + 'px',
+            });
+        }
+    };
+    /**
+     * Default look of the shaded scheme
+     */
+    SchemeView.SHADE_STYLE = transportMapScheme.SHADE_STYLE;
+
+    /**
+     * Station manager.
+     * Responsible for selection/deselection of stations
+     *
+     * Has an EventManager, which is a parent for all Stations' EventManagers.
+     * Fires a single "selectionchange" event per a change of the selection
+     *
+     * Selection modes:
+     *  - 'multiple' – any number of stations;
+     *  - 'single' – one station, a new one replaces the old one;
+     *  - Number – at most N stations, the earliest selected are dropped;
+     *  - 'pair' – ordered pair (e.g. origin and destination),
+     *    the third station starts a new pair;
+     *  - 'none' – stations are not selected by click, programmatic selection is not limited.
+     *
+     * @constructor
+     * @inherits ymaps.Collection
+     *
+     * @param {SchemeView} schemeView
+     * @param {LineCollection} lines Lines of the scheme
+     * @param {Object} [options] Options, inherited by all stations
+     * @param {Boolean} [options.hoverable = true] Highlight stations under the cursor
+     * @param {Boolean} [options.hint = false] Show a hint with the station title and lines on hover
+     * @param {String|Number} [options.selectionMode = 'multiple']
+     * @param {Boolean} [options.stationEvents = false] Fire "selectionchange" on every changed station.
+     *  These events don't bubble, so they don't mix with the collection ones
+     * @param {Object} [options.selectionStyle = Station.SELECTION_STYLE]
+     * @param {Object} [options.groupStyles] Styles of highlight groups by names
+     * @param {Boolean} [options.interactive = true] Create hit areas, that handle the cursor
+     */
+    function StationCollection(schemeView, lines, options) {
+        StationCollection.superclass.constructor.call(this, options);
+
+        var code, metadata = schemeView.getMetaData().stations, station;
+
+        this._stationsMap = {};
+        this._selection = [];
+        this._groups = {};
+        this._statuses = {};
+        this._markerLayer = new MarkerLayer();
+
+        for (code in metadata) {
+            station = new Station(metadata[code], schemeView, this._markerLayer, lines);
+            // event bubbling
+            this._stationsMap[code] = station;
+            this.add(station);
+            station.events.setParent(this.events);
+        }
+    }
+    ymaps.util.augment(StationCollection, ymaps.Collection, {
+        /**
+         * @override ymaps.Collection
+         */
+        onAddToMap: function (map) {
+            StationCollection.superclass.onAddToMap.call(this, map);
+
+            insertStyle(Station.STYLE);
+            insertStyle(Station.STATUS_STYLE);
+            map.layers.add(this._markerLayer);
+        },
+        /**
+         * @override ymaps.Collection
+         */
+        onRemoveFromMap: function (oldMap) {
+            oldMap.layers.remove(this._markerLayer);
+
+            StationCollection.superclass.onRemoveFromMap.call(this, oldMap);
+        },
+        /**
+         * Selects stations by codes according to the selection mode.
+         * Fires 'selectionchange' event, if the selection is changed
+         *
+         * @param {Array<Number>|Number} codes
+         * @param {Object} [options]
+         * @param {Boolean|Number} [options.animate = false] Animation or its duration in ms
+         *
+         * @returns {ymaps.vow.Promise} Resolves when the animation ends
+         */
+        select: function (codes, options) {
+            var mode = this.options.get('selectionMode', 'multiple'),
+                selection = this.getSelection();
+
+            this._normalizeCodes(codes).forEach(function (code) {
+                if (selection.indexOf(code) === -1) {
+                    if (mode === 'pair' && selection.length === 2) {
+                        selection = [];
+                    }
+                    selection.push(code);
+                }
+            });
+
+            return this._applySelection(this._limitSelection(selection), options);
+        },
+        /**
+         * Deselects stations.
+         * Fires 'selectionchange' event, if the selection is changed
+         *
+         * @param {Array<Number>|Number} codes
+         * @param {Object} [options]
+         * @param {Boolean|Number} [options.animate = false] Animation or its duration in ms
+         *
+         * @returns {ymaps.vow.Promise} Resolves when the animation ends
+         */
+        deselect: function (codes, options) {
+            codes = this._normalizeCodes(codes);
+
+            return this._applySelection(this._selection.filter(function (code) {
+                return codes.indexOf(code) === -1;
+            }), options);
+        },
+        /**
+         * Replaces the selection according to the selection mode.
+         * Fires a single 'selectionchange' event, if the selection is changed
+         *
+         * @param {Array<Number>|Number} codes
+         * @param {Object} [options]
+         * @param {Boolean|Number} [options.animate = false] Animation or its duration in ms
+         *
+         * @returns {ymaps.vow.Promise} Resolves when the animation ends
+         */
+        setSelection: function (codes, options) {
+            var selection = [];
+
+            this._normalizeCodes(codes).forEach(function (code) {
+                if (selection.indexOf(code) === -1) {
+                    selection.push(code);
+                }
+            });
+
+            return this._applySelection(this._limitSelection(selection), options);
+        },
+        /**
+         * Deselects all stations
+         *
+         * @param {Object} [options]
+         * @param {Boolean|Number} [options.animate = false] Animation or its duration in ms
+         *
+         * @returns {ymaps.vow.Promise} Resolves when the animation ends
+         */
+        clearSelection: function (options) {
+            return this._applySelection([], options);
+        },
+        /**
+         * Selects all not selected stations and deselects selected ones
+         *
+         * @param {Object} [options]
+         * @param {Boolean|Number} [options.animate = false] Animation or its duration in ms
+         *
+         * @returns {ymaps.vow.Promise} Resolves when the animation ends
+         */
+        invertSelection: function (options) {
+            var selection = this._selection;
+
+            return this.setSelection(Object.keys(this._stationsMap).map(function (code) {
+                return this._stationsMap[code].code;
+            }, this).filter(function (code, i, codes) {
+                return selection.indexOf(code) === -1 && codes.indexOf(code) === i;
+            }), options);
+        },
+        /**
+         * Adds stations to a named highlight group (e.g. "origin", "favourite").
+         * Stations of a group are not shaded and have the style of the group.
+         * Fires 'groupchange' event
+         *
+         * @param {String} group
+         * @param {Array<Number>|Number} codes
+         * @param {Object} [options]
+         * @param {Boolean|Number} [options.animate = false] Animation or its duration in ms
+         *
+         * @returns {ymaps.vow.Promise} Resolves when the animation ends
+         */
+        addToGroup: function (group, codes, options) {
+            var groupCodes = this.getGroup(group);
+
+            this._normalizeCodes(codes).forEach(function (code) {
+                if (groupCodes.indexOf(code) === -1) {
+                    groupCodes.push(code);
+                }
+            });
+
+            return this._applyGroup(group, groupCodes, options);
+        },
+        /**
+         * Fires 'groupchange' event
+         *
+         * @param {String} group
+         * @param {Array<Number>|Number} codes
+         * @param {Object} [options]
+         * @param {Boolean|Number} [options.animate = false] Animation or its duration in ms
+         *
+         * @returns {ymaps.vow.Promise} Resolves when the animation ends
+         */
+        removeFromGroup: function (group, codes, options) {
+            codes = this._normalizeCodes(codes);
+
+            return this._applyGroup(group, this.getGroup(group).filter(function (code) {
+                return codes.indexOf(code) === -1;
+            }), options);
+        },
+        /**
+         * Removes all stations from a group
+         *
+         * @param {String} group
+         * @param {Object} [options]
+         * @param {Boolean|Number} [options.animate = false] Animation or its duration in ms
+         *
+         * @returns {ymaps.vow.Promise} Resolves when the animation ends
+         */
+        clearGroup: function (group, options) {
+            return this._applyGroup(group, [], options);
+        },
+        /**
+         * Returns codes of stations in a group
+         *
+         * @param {String} group
+         *
+         * @returns {Array<Number>}
+         */
+        getGroup: function (group) {
+            return (this._groups[group] || []).slice();
+        },
+        /**
+         * Returns names of not empty groups
+         *
+         * @returns {Array<String>}
+         */
+        getGroups: function () {
+            return Object.keys(this._groups);
+        },
+        /**
+         * Sets a status of stations, e.g. 'closed', 'partiallyClosed', 'stepFree'.
+         * Nodes of a station get the "transport-map-status_%status%" class,
+         * built-in statuses have a look @see Station.STATUS_STYLE, Station.STATUS_BADGES.
+         * Fires 'statuschange' event
+         *
+         * @param {String} status
+         * @param {Array<Number>|Number} codes
+         */
+        addStatus: function (status, codes) {
+            var statusCodes = this.getStatus(status);
+
+            this._normalizeCodes(codes).forEach(function (code) {
+                if (statusCodes.indexOf(code) === -1) {
+                    statusCodes.push(code);
+                }
+            });
+
+            this._applyStatus(status, statusCodes);
+        },
+        /**
+         * Fires 'statuschange' event
+         *
+         * @param {String} status
+         * @param {Array<Number>|Number} codes
+         */
+        removeStatus: function (status, codes) {
+            codes = this._normalizeCodes(codes);
+
+            this._applyStatus(status, this.getStatus(status).filter(function (code) {
+                return codes.indexOf(code) === -1;
+            }));
+        },
+        /**
+         * Removes a status from all stations
+         *
+         * @param {String} status
+         */
+        clearStatus: function (status) {
+            this._applyStatus(status, []);
+        },
+        /**
+         * Returns codes of stations with a status
+         *
+         * @param {String} status
+         *
+         * @returns {Array<Number>}
+         */
+        getStatus: function (status) {
+            return (this._statuses[status] || []).slice();
+        },
+        /**
+         * Returns statuses, that are set for some stations
+         *
+         * @returns {Array<String>}
+         */
+        getStatuses: function () {
+            return Object.keys(this._statuses);
+        },
+        _applyStatus: function (status, codes) {
+            var oldCodes = this.getStatus(status),
+                added = codes.filter(function (code) {
+                    return oldCodes.indexOf(code) === -1;
+                }),
+                removed = oldCodes.filter(function (code) {
+                    return codes.indexOf(code) === -1;
+                });
+
+            if (codes.length) {
+                this._statuses[status] = codes;
+            } else {
+                delete this._statuses[status];
+            }
+            removed.forEach(function (code) {
+                this.getByCode(code)._setStatus(status, false);
+            }, this);
+            added.forEach(function (code) {
+                this.getByCode(code)._setStatus(status, true);
+            }, this);
+
+            if (added.length || removed.length) {
+                this.events.fire('statuschange', {
+                    target: this,
+                    status: status,
+                    added: added,
+                    removed: removed
+                });
+            }
+        },
+        /**
+         * Sets the style of a group and applies it at once
+         *
+         * @param {String} group
+         * @param {Object} style Css of labels' background, e.g. {fill: '#f00', opacity: 1}
+         */
+        setGroupStyle: function (group, style) {
+            var groupStyles = ymaps.util.extend({}, this.options.get('groupStyles', {}));
+
+            groupStyles[group] = style;
+            this.options.set('groupStyles', groupStyles);
+
+            this.getGroup(group).forEach(function (code) {
+                this.getByCode(code)._updateLook();
+            }, this);
+        },
+        /**
+         * Sets the style of selected stations and applies it at once.
+         * Station#setSelectionStyle overrides it for a single station
+         *
+         * @param {Object} style Css of labels' background, e.g. {stroke: '#f00', opacity: 1}
+         */
+        setSelectionStyle: function (style) {
+            this.options.set('selectionStyle', style);
+
+            this._selection.forEach(function (code) {
+                this.getByCode(code)._updateLook();
+            }, this);
+        },
+        _applyGroup: function (group, codes, options) {
+            var duration = getDuration(options && options.animate),
+                oldCodes = this.getGroup(group),
+                added = codes.filter(function (code) {
+                    return oldCodes.indexOf(code) === -1;
+                }),
+                removed = oldCodes.filter(function (code) {
+                    return codes.indexOf(code) === -1;
+                }),
+                promises;
+
+            if (codes.length) {
+                this._groups[group] = codes;
+            } else {
+                delete this._groups[group];
+            }
+            promises = removed.map(function (code) {
+                return this.getByCode(code)._setGroup(group, false, duration);
+            }, this).concat(added.map(function (code) {
+                return this.getByCode(code)._setGroup(group, true, duration);
+            }, this));
+
+            if (added.length || removed.length) {
+                this.events.fire('groupchange', {
+                    target: this,
+                    group: group,
+                    added: added,
+                    removed: removed
+                });
+            }
+
+            return ymaps.vow.all(promises).then(function () {});
+        },
+        /**
+         * Returns codes of all selected stations in order of selection
+         *
+         * @returns {Array<Number>}
+         */
+        getSelection: function () {
+            return this._selection.slice();
+        },
+        /**
+         * Drops the earliest selected stations, that don't fit the selection mode
+         *
+         * @param {Array<Number>} selection
+         *
+         * @returns {Array<Number>}
+         */
+        _limitSelection: function (selection) {
+            var mode = this.options.get('selectionMode', 'multiple'),
+                limit = {single: 1, pair: 2}[mode] || (typeof mode === 'number' ? mode : Infinity);
+
+            return selection.slice(Math.max(0, selection.length - limit));
+        },
+        _checkCode: function (code) {
+            if (!this.getByCode(code)) {
+                throw new Error('Unknown station code ' + code);
+            }
+        },
+        /**
+         * Checks codes and turns them into "Station#code",
+         * so "1" and 1 point to the same station
+         *
+         * @param {Array<Number|String>|Number|String} codes
+         *
+         * @returns {Array<Number>}
+         */
+        _normalizeCodes: function (codes) {
+            return [].concat(codes).map(function (code) {
+                this._checkCode(code);
+
+                return this.getByCode(code).code;
+            }, this);
+        },
+        _setStationSelected: function (code, selected, duration) {
+            var station = this.getByCode(code),
+                promise = station._setSelected(selected, duration);
+
+            if (this.options.get('stationEvents', false)) {
+                station.events.fire('selectionchange', {type: selected ? 'select' : 'deselect', target: station});
+            }
+
+            return promise;
+        },
+        /**
+         * Updates stations and fires a single event for the whole change
+         *
+         * @param {Array<Number>} selection New selection
+         * @param {Object} [options]
+         * @param {Boolean|Number} [options.animate = false]
+         *
+         * @returns {ymaps.vow.Promise} Resolves when the animation ends
+         */
+        _applySelection: function (selection, options) {
+            var duration = getDuration(options && options.animate),
+                promises,
+                oldSelection = this._selection,
+                added = selection.filter(function (code) {
+                    return oldSelection.indexOf(code) === -1;
+                }),
+                removed = oldSelection.filter(function (code) {
+                    return selection.indexOf(code) === -1;
+                });
+
+            this._selection = selection;
+            promises = removed.map(function (code) {
+                return this._setStationSelected(code, false, duration);
+            }, this).concat(added.map(function (code) {
+                return this._setStationSelected(code, true, duration);
+            }, this));
+
+            if (added.length || removed.length) {
+                this.events.fire('selectionchange', {
+                    type: !removed.length ? 'select' : !added.length ? 'deselect' : 'change',
+                    target: this,
+                    added: added,
+                    removed: removed
+                });
+            }
+
+            return ymaps.vow.all(promises).then(function () {});
+        },
+        getByCode: function (code) {
+            return this._stationsMap[code];
+        },
+        /**
+         * Search stations by words starting with the letters %request%.
+         * Search is case-insensitive, ignores diacritics,
+         * matches latin requests against cyrillic titles (and vice versa)
+         * and tolerates small typos in words of 4 letters and longer.
+         * Results are sorted by relevance
+         *
+         * @param {String} request
+         * @param {Object} [options]
+         * @param {Number} [options.limit] Max number of results
+         *
+         * @returns {ymaps.vow.Promise} Resolves to an array of stations
+         */
+        search: function (request, options) {
+            if (!this._search) {
+                this._search = new StationSearch(Object.keys(this._stationsMap).map(function (code) {
+                    return this._stationsMap[code];
+                }, this));
+            }
+
+            return ymaps.vow.fulfill(this._search.search(request, options && options.limit));
+        },
+        /**
+         * @returns {Object} [latitude, longitude] by station codes,
+         *  only for stations with geo coordinates
+         */
+        getGeoCoordinates: function () {
+            var coordinates = {};
+
+            this.each(function (station) {
+                var stationCoordinates = station.getGeoCoordinates();
+
+                if (stationCoordinates) {
+                    coordinates[station.code] = stationCoordinates;
+                }
+            });
+
+            return coordinates;
+        },
+        /**
+         * Sets geo coordinates of stations, e.g. when the scheme metadata has none.
+         * Coordinates are kept on a language change, but not on a city change
+         *
+         * @param {Object} coordinates [latitude, longitude] by station codes, null removes coordinates
+         *
+         * @throws {Error} Unknown station code or wrong coordinates
+         */
+        setGeoCoordinates: function (coordinates) {
+            Object.keys(coordinates).forEach(function (code) {
+                this._checkCode(code);
+                if (coordinates[code]) {
+                    checkGeoCoordinates(coordinates[code]);
+                }
+            }, this);
+            Object.keys(coordinates).forEach(function (code) {
+                this.getByCode(code).setGeoCoordinates(coordinates[code]);
+            }, this);
+        },
+        /**
+         * Stations ordered by the distance to a geo point.
+         * Stations without geo coordinates are skipped
+         *
+         * @param {Array<Number>} point [latitude, longitude]
+         * @param {Object} [options]
+         * @param {Number} [options.limit = 1] Max number of results
+         * @param {Number} [options.maxDistance] Max distance in meters
+         *
+         * @returns {Array<Station>}
+         */
+        nearest: function (point, options) {
+            var limit, maxDistance;
+
+            options = options || {};
+            limit = options.hasOwnProperty('limit') ? options.limit : 1;
+            maxDistance = options.hasOwnProperty('maxDistance') ? options.maxDistance : Infinity;
+            checkGeoCoordinates(point);
+
+            return this.getAll().filter(function (station) {
+                return station.getGeoCoordinates();
+            }).map(function (station) {
+                return {station: station, distance: station.getGeoDistance(point)};
+            }).filter(function (item) {
+                return item.distance <= maxDistance;
+            }).sort(function (a, b) {
+                return a.distance - b.distance;
+            }).slice(0, limit).map(function (item) {
+                return item.station;
+            });
+        }
+    });
+    /**
+     * Station instance
+     * Is exposed via StationCollection#each
+     *
+     * Has an Event Manager, that fires custom events "mouseenter" and "mouseleave",
+     * and "selectionchange" with "stationEvents" option.
+     * "click" can be prevented to cancel the default selection toggle.
+     * For more events please see
+     * @see http://api.yandex.ru/maps/doc/jsapi/beta/ref/reference/GeoObject.xml#events-summary
+     *
+     * @constructor
+     * @inherits ymaps.collection.Item
+     *
+     * @param {Object} metadata Metadata for the station
+     * @param {SchemeView} SchemeView
+     * @param {MarkerLayer} markerLayer Layer for markers of all stations
+     * @param {LineCollection} lines Lines of the scheme
+     * @param {Object} [options]
+     */
+    function Station(metadata, schemeView, markerLayer, lines, options) {
+        Station.superclass.constructor.call(this, options);
+
+        this.code = metadata.labelId;
+        this.title = metadata.name;
+        this._geoCoordinates = metadata.geo ? metadata.geo.slice() : null;
+        this._schemeView = schemeView;
+        this._markerLayer = markerLayer;
+        this._lines = lines;
+        this._markers = [];
+        this._highlightedPlatforms = [];
+        this._hoverCount = 0;
+        this._groups = [];
+        this._statuses = [];
+        this._lifted = false;
+        this.selected = false;
+        this.hovered = false;
+
+        // per-station events are opt-in and stay on the station,
+        // StationCollection fires its own batched "selectionchange"
+        this.events.add('selectionchange', function (e) {
+            e.stopPropagation();
+        });
+    }
+    ymaps.util.augment(Station, ymaps.collection.Item, {
+        /**
+         * @override ymaps.collection.Item
+         */
+        onAddToMap: function () {
+            Station.superclass.onAddToMap.apply(this, arguments);
+
+            if (!this.options.get('interactive', true)) {
+                this._geoObjects = [];
+                return;
+            }
+            this._geoObjects = this._getGeoObjects();
+            this._geoObjects.forEach(function (geoObject) {
+                // event bubbling
+                geoObject.events.setParent(this.events);
+                geoObject.events.add(['mouseenter', 'mouseleave'], this._onHitAreaHover, this);
+                geoObject.events.add('click', this._onHitAreaClick, this);
+            }, this);
+        },
+        /**
+         * @override ymaps.collection.Item
+         */
+        onRemoveFromMap: function (oldMap) {
+            this._geoObjects.forEach(function (geoObject) {
+                geoObject.events.remove(['mouseenter', 'mouseleave'], this._onHitAreaHover, this);
+                geoObject.events.remove('click', this._onHitAreaClick, this);
+                geoObject.events.setParent(null);
+                oldMap.geoObjects.remove(geoObject);
+            }, this);
+            this._geoObjects = [];
+            this._hoverCount = 0;
+            if (this.hovered) {
+                this.hovered = false;
+                toggleClass(this.getLabelNode(), Station.HOVERED_CLASS, false);
+            }
+
+            Station.superclass.onRemoveFromMap.apply(this, arguments);
+        },
+        /**
+         * Non-cacheble getter for label node.
+         * Too many labels on the map to cache them all
+         *
+         * @returns {HTMLElement}
+         */
+        getLabelNode: function () {
+            return this._schemeView.getScheme().getLabelNode(this.code);
+        },
+        /**
+         * Selects current station via StationCollection#select,
+         * so the selection mode is respected
+         * If station is already selected - nothing happens
+         *
+         * @param {Object} [options]
+         * @param {Boolean|Number} [options.animate = false] Animation or its duration in ms
+         *
+         * @returns {ymaps.vow.Promise} Resolves when the animation ends
+         */
+        select: function (options) {
+            return this.getParent().select(this.code, options);
+        },
+        /**
+         * Deselects current station via StationCollection#deselect
+         * If station is not selected - nothing happens
+         *
+         * @param {Object} [options]
+         * @param {Boolean|Number} [options.animate = false] Animation or its duration in ms
+         *
+         * @returns {ymaps.vow.Promise} Resolves when the animation ends
+         */
+        deselect: function (options) {
+            return this.getParent().deselect(this.code, options);
+        },
+        /**
+         * Returns names of highlight groups of the station
+         *
+         * @returns {Array<String>}
+         */
+        getGroups: function () {
+            return this._groups.slice();
+        },
+        /**
+         * Returns statuses of the station, @see StationCollection#addStatus
+         *
+         * @returns {Array<String>}
+         */
+        getStatuses: function () {
+            return this._statuses.slice();
+        },
+        /**
+         * @param {String} status
+         *
+         * @returns {Boolean}
+         */
+        hasStatus: function (status) {
+            return this._statuses.indexOf(status) !== -1;
+        },
+        /**
+         * Is called by StationCollection
+         *
+         * @param {String} status
+         * @param {Boolean} enabled
+         */
+        _setStatus: function (status, enabled) {
+            if (enabled) {
+                this._statuses.push(status);
+            } else {
+                this._statuses.splice(this._statuses.indexOf(status), 1);
+            }
+
+            [this.getLabelNode()].concat(this._getStationNodes()).forEach(function (node) {
+                toggleClass(node, Station.STATUS_CLASS_PREFIX + status, enabled);
+            });
+            this._updateBadges();
+        },
+        /**
+         * Draws badges of statuses after the label text
+         */
+        _updateBadges: function () {
+            var labelNode = this.getLabelNode(),
+                badges = this._statuses.filter(function (status) {
+                    return Station.STATUS_BADGES.hasOwnProperty(status);
+                }),
+                bbox;
+
+            Array.prototype.slice.call(labelNode.getElementsByTagName('text')).forEach(function (node) {
+                if (/\btransport-map-status-badge\b/.test(node.getAttribute('class'))) {
+                    labelNode.removeChild(node);
+                }
+            });
+            if (!badges.length) {
+                return;
+            }
+
+            bbox = labelNode.getBBox();
+            badges.forEach(function (status, index) {
+                var node = labelNode.ownerDocument.createElementNS(labelNode.namespaceURI, 'text');
+
+                node.setAttribute('class', 'transport-map-status-badge transport-map-status-badge_' + status);
+                node.setAttribute('x', bbox.x + bbox.width + (index + 0.2) * Station.BADGE_SIZE);
+                node.setAttribute('y', bbox.y + bbox.height);
+                node.setAttribute('aria-hidden', 'true');
+                node.appendChild(labelNode.ownerDocument.createTextNode(Station.STATUS_BADGES[status]));
+                labelNode.appendChild(node);
+            });
+        },
+        /**
+         * Overrides the selection style of the collection for this station
+         *
+         * @param {Object} style Css of the label background, e.g. {stroke: '#f00', opacity: 1}
+         */
+        setSelectionStyle: function (style) {
+            this.options.set('selectionStyle', style);
+            this._updateLook();
+        },
+        /**
+         * Is called by StationCollection
+         *
+         * @param {Boolean} selected
+         * @param {Number} [duration = 0]
+         *
+         * @returns {ymaps.vow.Promise}
+         */
+        _setSelected: function (selected, duration) {
+            this.selected = selected;
+            return this._updateLook(duration);
+        },
+        /**
+         * Is called by StationCollection
+         *
+         * @param {String} group
+         * @param {Boolean} included
+         * @param {Number} [duration = 0]
+         *
+         * @returns {ymaps.vow.Promise}
+         */
+        _setGroup: function (group, included, duration) {
+            if (included) {
+                this._groups.push(group);
+            } else {
+                this._groups.splice(this._groups.indexOf(group), 1);
+            }
+            return this._updateLook(duration);
+        },
+        /**
+         * Applies styles of groups in order of adding and then the selection style.
+         * Selected and grouped stations are not shaded
+         *
+         * @param {Number} [duration = 0] Duration of the label transition
+         *
+         * @returns {ymaps.vow.Promise} Resolves when the transition ends
+         */
+        _updateLook: function (duration) {
+            var style = transportMapScheme.getLabelStyle(
+                    this.selected,
+                    this._groups,
+                    this.options.get('selectionStyle', Station.SELECTION_STYLE),
+                    this.options.get('groupStyles', {})
+                ),
+                oldStyle = this._labelStyle,
+                lifted = this.selected || this._groups.length > 0,
+                background = this._schemeView.getScheme().getLabelBackground(this.code);
+
+            this._labelStyle = style;
+
+            if (lifted !== this._lifted) {
+                this._lifted = lifted;
+                this[lifted ? '_lift' : '_drop']();
+                // a moved node has no computed style to start a transition from,
+                // reading it makes the browser compute the old style first
+                if (duration) {
+                    window.getComputedStyle(background).getPropertyValue('opacity');
+                }
+            }
+
+            return transitStyle(background, style, oldStyle, duration);
+        },
+        /**
+         * Fires "click" on the station itself,
+         * so any handler up to TransportMap.events can prevent the default selection toggle
+         *
+         * @param {ymaps.Event} e
+         */
+        _onHitAreaClick: function (e) {
+            var event = new ymaps.Event({type: 'click', target: this}, e);
+
+            e.stopPropagation();
+            this.events.fire('click', event);
+
+            if (!event.isDefaultPrevented() && this.options.get('selectionMode', 'multiple') !== 'none') {
+                this[this.selected ? 'deselect' : 'select']();
+            }
+        },
+        /**
+         * Station has several hit areas: the label and station circles.
+         * Turns their events into a single pair of "mouseenter"/"mouseleave"
+         *
+         * @param {ymaps.Event} e
+         */
+        _onHitAreaHover: function (e) {
+            e.stopPropagation();
+
+            if (e.get('type') === 'mouseenter') {
+                if (this._hoverCount++ === 0) {
+                    this._setHovered(true);
+                }
+            } else if (this._hoverCount > 0 && --this._hoverCount === 0) {
+                this._setHovered(false);
+            }
+        },
+        _setHovered: function (hovered) {
+            this.hovered = hovered;
+
+            if (this.options.get('hoverable', true)) {
+                toggleClass(this.getLabelNode(), Station.HOVERED_CLASS, hovered);
+            }
+            if (this.options.get('hint', false)) {
+                if (hovered) {
+                    this.openHint(this._getHintContent());
+                } else {
+                    this.closeHint();
+                }
+            }
+
+            this.events.fire(hovered ? 'mouseenter' : 'mouseleave', {target: this});
+        },
+        /**
+         * Returns ids of platforms (physical stations of the scheme) under the label.
+         * A transfer hub has several platforms
+         *
+         * @returns {Array<Number>}
+         */
+        getPlatforms: function () {
+            return this._schemeView.getMetaData().labels[this.code].stationIds.slice();
+        },
+        /**
+         * Returns transfers from the scheme metadata, that start or end on platforms of the station.
+         * Transfers may lead to platforms of other stations
+         *
+         * @returns {Array<Object>} Transfers: {id, fromStationId, toStationId, time}, time is optional
+         */
+        getTransfers: function () {
+            var metadata = this._schemeView.getMetaData(),
+                platforms = this.getPlatforms(),
+                transfers = [],
+                id, transfer;
+
+            for (id in metadata.transfers) {
+                transfer = metadata.transfers[id];
+                if (platforms.indexOf(transfer.fromStationId) !== -1 || platforms.indexOf(transfer.toStationId) !== -1) {
+                    transfers.push(ymaps.util.extend({id: id}, transfer));
+                }
+            }
+
+            return transfers;
+        },
+        /**
+         * @returns {Boolean} Has the station several platforms or transfers
+         */
+        isInterchange: function () {
+            return this.getPlatforms().length > 1 || this.getTransfers().length > 0;
+        },
+        /**
+         * Shows a single platform of a transfer hub over the shaded scheme
+         * and adds a css class to its node.
+         * Fires 'platformchange' event
+         *
+         * @param {Number} id Platform id
+         */
+        highlightPlatform: function (id) {
+            var node;
+
+            this._checkPlatform(id);
+            if (this._highlightedPlatforms.indexOf(id) === -1) {
+                this._highlightedPlatforms.push(id);
+
+                node = this._schemeView.getNode().getElementById('station-' + id);
+                toggleClass(node, Station.PLATFORM_CLASS, true);
+                this._schemeView.raise(node, 'stations');
+                this._schemeView.raise(this.getLabelNode(), 'labels');
+
+                this.events.fire('platformchange', {type: 'highlight', target: this, platform: id});
+            }
+        },
+        /**
+         * Fires 'platformchange' event
+         *
+         * @param {Number} id Platform id
+         */
+        unhighlightPlatform: function (id) {
+            var node;
+
+            this._checkPlatform(id);
+            if (this._highlightedPlatforms.indexOf(id) !== -1) {
+                this._highlightedPlatforms.splice(this._highlightedPlatforms.indexOf(id), 1);
+
+                node = this._schemeView.getNode().getElementById('station-' + id);
+                toggleClass(node, Station.PLATFORM_CLASS, false);
+                this._schemeView.lower(node);
+                this._schemeView.lower(this.getLabelNode());
+
+                this.events.fire('platformchange', {type: 'unhighlight', target: this, platform: id});
+            }
+        },
+        /**
+         * @returns {Array<Number>} Ids of highlighted platforms
+         */
+        getHighlightedPlatforms: function () {
+            return this._highlightedPlatforms.slice();
+        },
+        _checkPlatform: function (id) {
+            if (this.getPlatforms().indexOf(id) === -1) {
+                throw new Error('Station ' + this.code + ' has no platform ' + id);
+            }
+        },
+        /**
+         * Returns lines, that go through the station
+         *
+         * @returns {Array<Line>}
+         */
+        getLines: function () {
+            return this._lines.getByStation(this.code);
+        },
+        /**
+         * Station title and names of its lines, if the metadata has them
+         *
+         * @returns {String}
+         */
+        _getHintContent: function () {
+            var lineNames = this.getLines().map(function (line) {
+                    return line.name;
+                });
+
+            return this.title + (lineNames.length ? ' (' + lineNames.join(', ') + ')' : '');
+        },
+        /**
+         * Makes station nodes non-shadable
+         */
+        _lift: function () {
+            this._schemeView.getScheme().liftStation(this.code);
+        },
+        _drop: function () {
+            this._schemeView.getScheme().dropStation(this.code);
+        },
+        _getGeoObjects: function () {
+            var svgNodes = [this.getLabelNode()].concat(this._getStationNodes());
+
+            return svgNodes.map(this._createGeoObject, this);
+        },
+        _getStationNodes: function () {
+            return this._schemeView.getScheme().getStationNodes(this.code);
+        },
+        _createGeoObject: function (svgNode) {
+            var rectangle = new ymaps.Rectangle(
+                this._getGeoBBox(svgNode),
+                {},
+                {fill: true, opacity: 0}
+            );
+            this.getMap().geoObjects.add(rectangle);
+            return rectangle;
+        },
+        _getGeoBBox: function (svgNode) {
+            var globalBBox = svgNode.getBBox(),
+                projection = this.getMap().options.get('projection'),
+                schemeMeta = this._schemeView.getMetaData(),
+                center = {x: schemeMeta.width / 2, y: schemeMeta.height / 2},
+                baseZoom = - SchemeLayer.getZoomFromScale(this._schemeView.getBaseScale()),
+
+                topLeftPoint = projection.fromGlobalPixels([
+                    globalBBox.x - center.x,
+                    globalBBox.y - center.y
+                ], baseZoom),
+                bottomRightPoint = projection.fromGlobalPixels([
+                    globalBBox.x - center.x + globalBBox.width,
+                    globalBBox.y - center.y + globalBBox.height
+                ], baseZoom);
+
+            return [topLeftPoint, bottomRightPoint];
+        },
+        /**
+         * Returns bounds of the label and all station nodes in map coordinates.
+         * Station should be on the map
+         *
+         * @returns {Array<Array<Number>>} [[minX, minY], [maxX, maxY]]
+         */
+        getBounds: function () {
+            return Station.joinBounds(
+                [this.getLabelNode()].concat(this._getStationNodes()).map(function (node) {
+                    return this._getGeoBBox(node);
+                }, this)
+            );
+        },
+        /**
+         * Returns the center of the station bounds in map coordinates
+         *
+         * @returns {Array<Number>}
+         */
+        getCenter: function () {
+            var bounds = this.getBounds();
+
+            return [(bounds[0][0] + bounds[1][0]) / 2, (bounds[0][1] + bounds[1][1]) / 2];
+        },
+        /**
+         * Real position of the station from the scheme metadata or set by
+         * StationCollection#setGeoCoordinates
+         *
+         * @returns {Array<Number>|null} [latitude, longitude]
+         */
+        getGeoCoordinates: function () {
+            return this._geoCoordinates && this._geoCoordinates.slice();
+        },
+        /**
+         * @param {Array<Number>|null} coordinates [latitude, longitude], null removes coordinates
+         */
+        setGeoCoordinates: function (coordinates) {
+            if (coordinates) {
+                checkGeoCoordinates(coordinates);
+            }
+            this._geoCoordinates = coordinates ? coordinates.slice() : null;
+        },
+        /**
+         * @param {Array<Number>} point [latitude, longitude]
+         *
+         * @returns {Number} Meters to the point, NaN for a station without geo coordinates
+         */
+        getGeoDistance: function (point) {
+            checkGeoCoordinates(point);
+
+            return this._geoCoordinates ? getGeoDistance(this._geoCoordinates, point) : NaN;
+        },
+        /**
+         * Attaches an html marker (a badge, an icon, etc.) to the station.
+         * Marker doesn't scale with the scheme
+         *
+         * @param {String|HTMLElement} content Html string or an element
+         * @param {Object} [options]
+         * @param {Array<Number>} [options.offset = [0, 0]] Offset from the station center in pixels
+         * @param {String} [options.className] Extra css class of the marker
+         *
+         * @returns {Marker}
+         */
+        addMarker: function (content, options) {
+            var marker = new Marker(this, content, options);
+
+            this._markers.push(marker);
+            this._markerLayer.add(marker);
+
+            return marker;
+        },
+        /**
+         * @param {Marker} marker
+         */
+        removeMarker: function (marker) {
+            var index = this._markers.indexOf(marker);
+
+            if (index !== -1) {
+                this._markers.splice(index, 1);
+                this._markerLayer.remove(marker);
+            }
+        },
+        /**
+         * @returns {Array<Marker>}
+         */
+        getMarkers: function () {
+            return this._markers.slice();
+        },
+        /**
+         * Removes all markers of the station
+         */
+        removeAllMarkers: function () {
+            this.getMarkers().forEach(this.removeMarker, this);
+        },
+        /**
+         * Opens the map balloon over the station
+         *
+         * @see http://api.yandex.ru/maps/doc/jsapi/beta/ref/reference/map.Balloon.xml#open
+         *
+         * @param {String|Object} content
+         * @param {Object} [options] Balloon options
+         *
+         * @returns {ymaps.vow.Promise}
+         */
+        openBalloon: function (content, options) {
+            return this.getMap().balloon.open(this.getCenter(), content, options);
+        },
+        /**
+         * @returns {ymaps.vow.Promise}
+         */
+        closeBalloon: function () {
+            return this.getMap().balloon.close();
+        },
+        /**
+         * Opens the map hint over the station
+         *
+         * @see http://api.yandex.ru/maps/doc/jsapi/beta/ref/reference/map.Hint.xml#open
+         *
+         * @param {String|Object} content
+         * @param {Object} [options] Hint options
+         *
+         * @returns {ymaps.vow.Promise}
+         */
+        openHint: function (content, options) {
+            return this.getMap().hint.open(this.getCenter(), content, options);
+        },
+        /**
+         * @returns {ymaps.vow.Promise}
+         */
+        closeHint: function () {
+            return this.getMap().hint.close();
+        }
+    });
+    /**
+     * Default look of the selected label background
+     */
+    Station.SELECTION_STYLE = transportMapScheme.SELECTION_STYLE;
+    /**
+     * Class of the hovered station label
+     */
+    Station.HOVERED_CLASS = 'transport-map-station_hovered';
+    /**
+     * Prefix of classes of stations and links with a status
+     */
+    Station.STATUS_CLASS_PREFIX = 'transport-map-status_';
+    /**
+     * Built-in look of statuses: closed stations and lines are greyed out,
+     * labels of closed stations are struck through
+     */
+    Station.STATUS_STYLE = [
+        '.transport-map-status_closed{opacity:0.3}',
+        '.transport-map-status_closed text:not(.transport-map-status-badge){text-decoration:line-through}',
+        '.transport-map-status-badge{font-size:10px;font-weight:bold;fill:#333}',
+        '.transport-map-status-badge_partiallyClosed{fill:#e60}',
+        '.transport-map-status-badge_stepFree{fill:#06c}'
+    ].join('');
+    /**
+     * Icons of statuses, that are drawn after the label text
+     */
+    Station.STATUS_BADGES = {
+        partiallyClosed: '!',
+        stepFree: '\u267F'
+    };
+    /**
+     * Width of a status badge in pixels of the scheme
+     */
+    Station.BADGE_SIZE = 10;
+    /**
+     * Class of highlighted platform nodes
+     */
+    Station.PLATFORM_CLASS = 'transport-map-platform_highlighted';
+    /**
+     * Default hover look. Selection is set by inline styles, so it wins
+     */
+    Station.STYLE = '.' + Station.HOVERED_CLASS + ' rect{stroke:#ddd;opacity:1}';
+    /**
+     * Returns bounds, that contain all given bounds
+     *
+     * @param {Array<Array<Array<Number>>>} boundsList
+     *
+     * @returns {Array<Array<Number>>} [[minX, minY], [maxX, maxY]]
+     */
+    Station.joinBounds = function (boundsList) {
+        var xs = [], ys = [];
+
+        boundsList.forEach(function (bounds) {
+            bounds.forEach(function (point) {
+                xs.push(point[0]);
+                ys.push(point[1]);
+            });
+        });
+
+        return [
+            [Math.min.apply(Math, xs), Math.min.apply(Math, ys)],
+            [Math.max.apply(Math, xs), Math.max.apply(Math, ys)]
+        ];
+    };
+
+    /**
+     * Line manager.
+     * Lines are described by optional "lines" of the scheme metadata
+     * and "lineId" of links: {lines: {id: {name, color}}, links: {id: {fromStationId, toStationId, lineId}}}
+     *
+     * Selected lines are not shaded: their links, stations and labels
+     * are raised into "highlight-layer-*" groups
+     *
+     * @constructor
+     *
+     * @param {SchemeView} schemeView
+     */
+    function LineCollection(schemeView) {
+        var metadata = schemeView.getMetaData(), id;
+
+        this.events = new ymaps.event.Manager();
+        this._lines = [];
+        this._linesMap = {};
+        this._selection = [];
+        this._statuses = {};
+
+        for (id in metadata.lines) {
+            this._linesMap[id] = new Line(id, metadata, schemeView);
+            this._lines.push(this._linesMap[id]);
+        }
+    }
+    LineCollection.prototype = {
+        /**
+         * @param {String|Number} id
+         *
+         * @returns {Line}
+         */
+        getById: function (id) {
+            return this._linesMap[id];
+        },
+        /**
+         * @returns {Array<Line>}
+         */
+        getAll: function () {
+            return this._lines.slice();
+        },
+        /**
+         * @param {Function} callback Is called with a line
+         * @param {Object} [context]
+         */
+        each: function (callback, context) {
+            this._lines.forEach(function (line) {
+                callback.call(context, line);
+            });
+        },
+        /**
+         * Returns lines, that go through the station
+         *
+         * @param {Number} code Station code
+         *
+         * @returns {Array<Line>}
+         */
+        getByStation: function (code) {
+            return this._lines.filter(function (line) {
+                return line.getStationCodes().indexOf(code) !== -1;
+            });
+        },
+        /**
+         * Selects lines by ids.
+         * Fires 'selectionchange' event, if the selection is changed
+         *
+         * @param {Array<String|Number>|String|Number} ids
+         */
+        select: function (ids) {
+            var selection = this.getSelection();
+
+            [].concat(ids).forEach(function (id) {
+                this._checkId(id);
+                if (selection.indexOf(String(id)) === -1) {
+                    selection.push(String(id));
+                }
+            }, this);
+
+            this._applySelection(selection);
+        },
+        /**
+         * Deselects lines.
+         * Fires 'selectionchange' event, if the selection is changed
+         *
+         * @param {Array<String|Number>|String|Number} ids
+         */
+        deselect: function (ids) {
+            ids = [].concat(ids).map(String);
+            ids.forEach(this._checkId, this);
+
+            this._applySelection(this._selection.filter(function (id) {
+                return ids.indexOf(id) === -1;
+            }));
+        },
+        /**
+         * Deselects all lines
+         */
+        clearSelection: function () {
+            this._applySelection([]);
+        },
+        /**
+         * Returns ids of selected lines in order of selection
+         *
+         * @returns {Array<String>}
+         */
+        getSelection: function () {
+            return this._selection.slice();
+        },
+        /**
+         * Sets a status of lines, e.g. 'closed'.
+         * Links of a line get the "transport-map-status_%status%" class.
+         * Fires 'statuschange' event
+         *
+         * @param {String} status
+         * @param {Array<String|Number>|String|Number} ids
+         */
+        addStatus: function (status, ids) {
+            var statusIds = this.getStatus(status);
+
+            [].concat(ids).forEach(function (id) {
+                this._checkId(id);
+                if (statusIds.indexOf(String(id)) === -1) {
+                    statusIds.push(String(id));
+                }
+            }, this);
+
+            this._applyStatus(status, statusIds);
+        },
+        /**
+         * Fires 'statuschange' event
+         *
+         * @param {String} status
+         * @param {Array<String|Number>|String|Number} ids
+         */
+        removeStatus: function (status, ids) {
+            ids = [].concat(ids).map(String);
+            ids.forEach(this._checkId, this);
+
+            this._applyStatus(status, this.getStatus(status).filter(function (id) {
+                return ids.indexOf(id) === -1;
+            }));
+        },
+        /**
+         * Removes a status from all lines
+         *
+         * @param {String} status
+         */
+        clearStatus: function (status) {
+            this._applyStatus(status, []);
+        },
+        /**
+         * Returns ids of lines with a status
+         *
+         * @param {String} status
+         *
+         * @returns {Array<String>}
+         */
+        getStatus: function (status) {
+            return (this._statuses[status] || []).slice();
+        },
+        /**
+         * Returns statuses, that are set for some lines
+         *
+         * @returns {Array<String>}
+         */
+        getStatuses: function () {
+            return Object.keys(this._statuses);
+        },
+        _checkId: function (id) {
+            if (!this.getById(id)) {
+                throw new Error('Unknown line id ' + id);
+            }
+        },
+        _applyStatus: function (status, ids) {
+            var oldIds = this.getStatus(status),
+                added = ids.filter(function (id) {
+                    return oldIds.indexOf(id) === -1;
+                }),
+                removed = oldIds.filter(function (id) {
+                    return ids.indexOf(id) === -1;
+                });
+
+            if (ids.length) {
+                this._statuses[status] = ids;
+            } else {
+                delete this._statuses[status];
+            }
+            removed.forEach(function (id) {
+                this.getById(id)._setStatus(status, false);
+            }, this);
+            added.forEach(function (id) {
+                this.getById(id)._setStatus(status, true);
+            }, this);
+
+            if (added.length || removed.length) {
+                this.events.fire('statuschange', {
+                    target: this,
+                    status: status,
+                    added: added,
+                    removed: removed
+                });
+            }
+        },
+        _applySelection: function (selection) {
+            var oldSelection = this._selection,
+                added = selection.filter(function (id) {
+                    return oldSelection.indexOf(id) === -1;
+                }),
+                removed = oldSelection.filter(function (id) {
+                    return selection.indexOf(id) === -1;
+                });
+
+            this._selection = selection;
+            removed.forEach(function (id) {
+                this.getById(id)._setSelected(false);
+            }, this);
+            added.forEach(function (id) {
+                this.getById(id)._setSelected(true);
+            }, this);
+
+            if (added.length || removed.length) {
+                this.events.fire('selectionchange', {
+                    type: !removed.length ? 'select' : !added.length ? 'deselect' : 'change',
+                    target: this,
+                    added: added,
+                    removed: removed
+                });
+            }
+        }
+    };
+
+    /**
+     * Metro line.
+     * Is exposed via LineCollection
+     *
+     * @constructor
+     *
+     * @param {String} id
+     * @param {Object} metadata Metadata of the scheme
+     * @param {SchemeView} schemeView
+     */
+    function Line(id, metadata, schemeView) {
+        var svgNode = schemeView.getNode(), codeByStationId = {}, linkId;
+
+        this.id = id;
+        this.name = metadata.lines[id].name;
+        this.color = metadata.lines[id].color;
+        this.selected = false;
+        this._schemeView = schemeView;
+        this._linkIds = [];
+        this._statuses = [];
+
+        for (linkId in metadata.links) {
+            if (String(metadata.links[linkId].lineId) === id) {
+                this._linkIds.push(linkId);
+            }
+        }
+        this._stationIds = this._orderStations(metadata);
+
+        Object.keys(metadata.labels).forEach(function (code) {
+            metadata.labels[code].stationIds.forEach(function (stationId) {
+                codeByStationId[stationId] = Number(code);
+            });
+        });
+        this._codes = [];
+        this._stationIds.forEach(function (stationId) {
+            var code = codeByStationId[stationId];
+
+            if (code !== undefined && this._codes.indexOf(code) === -1) {
+                this._codes.push(code);
+            }
+        }, this);
+
+        this._nodes = [];
+        this._linkIds.forEach(function (linkId) {
+            this._addNode(svgNode.getElementById('link-' + linkId), 'links');
+        }, this);
+        this._stationIds.forEach(function (stationId) {
+            this._addNode(svgNode.getElementById('station-' + stationId), 'stations');
+        }, this);
+        this._codes.forEach(function (code) {
+            this._addNode(svgNode.getElementById('label-' + code), 'labels');
+        }, this);
+    }
+    Line.prototype = {
+        /**
+         * Returns codes of stations in order along the line
+         *
+         * @returns {Array<Number>}
+         */
+        getStationCodes: function () {
+            return this._codes.slice();
+        },
+        /**
+         * Returns ids of platforms in order along the line
+         *
+         * @returns {Array<Number>}
+         */
+        getPlatforms: function () {
+            return this._stationIds.map(Number);
+        },
+        /**
+         * Walks the links of the line starting from a terminal station,
+         * so stations go in order along the line.
+         * Branches are walked one after another
+         *
+         * @param {Object} metadata
+         *
+         * @returns {Array<String>} Station ids
+         */
+        _orderStations: function (metadata) {
+            var neighbours = {}, ordered = [], starts;
+
+            this._linkIds.forEach(function (linkId) {
+                var link = metadata.links[linkId],
+                    from = String(link.fromStationId),
+                    to = String(link.toStationId);
+
+                (neighbours[from] = neighbours[from] || []).push(to);
+                (neighbours[to] = neighbours[to] || []).push(from);
+            });
+
+            function walk(stationId) {
+                if (ordered.indexOf(stationId) === -1) {
+                    ordered.push(stationId);
+                    neighbours[stationId].forEach(walk);
+                }
+            }
+
+            starts = Object.keys(neighbours);
+            starts.filter(function (stationId) {
+                return neighbours[stationId].length === 1;
+            }).concat(starts).forEach(walk);
+
+            return ordered;
+        },
+        _addNode: function (node, layer) {
+            if (node) {
+                this._nodes.push({node: node, layer: layer});
+            }
+        },
+        /**
+         * Returns statuses of the line, @see LineCollection#addStatus
+         *
+         * @returns {Array<String>}
+         */
+        getStatuses: function () {
+            return this._statuses.slice();
+        },
+        /**
+         * @param {String} status
+         *
+         * @returns {Boolean}
+         */
+        hasStatus: function (status) {
+            return this._statuses.indexOf(status) !== -1;
+        },
+        /**
+         * Is called by LineCollection
+         *
+         * @param {String} status
+         * @param {Boolean} enabled
+         */
+        _setStatus: function (status, enabled) {
+            if (enabled) {
+                this._statuses.push(status);
+            } else {
+                this._statuses.splice(this._statuses.indexOf(status), 1);
+            }
+
+            this._linkIds.forEach(function (linkId) {
+                var node = this._schemeView.getScheme().getNodeById('link-' + linkId);
+
+                if (node) {
+                    toggleClass(node, Station.STATUS_CLASS_PREFIX + status, enabled);
+                }
+            }, this);
+        },
+        /**
+         * Is called by LineCollection
+         *
+         * @param {Boolean} selected
+         */
+        _setSelected: function (selected) {
+            this.selected = selected;
+            this._nodes.forEach(function (item) {
+                if (selected) {
+                    this._schemeView.raise(item.node, item.layer);
+                } else {
+                    this._schemeView.lower(item.node);
+                }
+            }, this);
+        }
+    };
+
+    /**
+     * Fuzzy search over station titles.
+     *
+     * Titles and requests are normalized into lowercase latin words,
+     * so "Пушкинская", "pushkinskaja" and "пушкинскя" are the same.
+     * Every word of a request should match a beginning of some title word
+     * with a few typos allowed for long words
+     *
+     * @constructor
+     *
+     * @param {Array<Station>} stations
+     */
+    function StationSearch(stations) {
+        this._entries = stations.map(function (station) {
+            return {
+                station: station,
+                tokens: StationSearch.tokenize(station.title)
+            };
+        });
+    }
+    StationSearch.prototype = {
+        /**
+         * @param {String} request
+         * @param {Number} [limit]
+         *
+         * @returns {Array<Station>} Stations sorted by relevance
+         */
+        search: function (request, limit) {
+            var queryTokens = StationSearch.tokenize(request),
+                matches = [];
+
+            this._entries.forEach(function (entry) {
+                var score = this._getScore(queryTokens, entry.tokens);
+
+                if (score !== null) {
+                    matches.push({station: entry.station, score: score});
+                }
+            }, this);
+
+            matches.sort(function (a, b) {
+                return (a.score - b.score) ||
+                    (a.station.title.length - b.station.title.length) ||
+                    (a.station.title < b.station.title ? -1 : a.station.title > b.station.title ? 1 : 0) ||
+                    (a.station.code - b.station.code);
+            });
+
+            return matches.slice(0, limit || matches.length).map(function (match) {
+                return match.station;
+            });
         },
-        _centerScheme: function () {
-            var BOUNDS = -99999;
+        /**
+         * Sums typos of all request words.
+         * A match of the first title word is preferred
+         *
+         * @returns {Number|null} null if some word doesn't match
+         */
+        _getScore: function (queryTokens, tokens) {
+            var score = 0;
 
-            ymaps.util.extend(this._schemeView.getNode().style, {
-                position: 'absolute',
-                margin: 'auto',
-                top: BOUNDS + 'px',
-                bottom: BOUNDS  + 'px',
-                left: BOUNDS  + 'px',
-                right: BOUNDS  + 'px'
+            queryTokens.every(function (queryToken, queryIndex) {
+                var maxTypos = StationSearch.getMaxTypos(queryToken.length),
+                    best = null;
+
+                tokens.forEach(function (token, index) {
+                    var distance = StationSearch.getPrefixDistance(queryToken, token),
+                        // words in the same order are slightly better
+                        tokenScore = distance * 10 + (index === queryIndex ? 0 : 1);
+
+                    if (distance <= maxTypos && (best === null || tokenScore < best)) {
+                        best = tokenScore;
+                    }
+                });
+
+                score = best === null ? null : score + best;
+                return score !== null;
             });
+
+            return score;
         }
-    });
+    };
     /**
-     * Calculates zoom to fit the layer into the container
+     * Cyrillic letters of russian, ukrainian and belarusian in latin
+     */
+    StationSearch.TRANSLITERATION = {
+        'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'д': 'd', 'е': 'e', 'ё': 'e',
+        'ж': 'zh', 'з': 'z', 'и': 'i', 'й': 'y', 'к': 'k', 'л': 'l', 'м': 'm',
+        'н': 'n', 'о': 'o', 'п': 'p', 'р': 'r', 'с': 's', 'т': 't', 'у': 'u',
+        'ф': 'f', 'х': 'kh', 'ц': 'ts', 'ч': 'ch', 'ш': 'sh', 'щ': 'sch', 'ъ': '',
+        'ы': 'y', 'ь': '', 'э': 'e', 'ю': 'yu', 'я': 'ya',
+        'і': 'i', 'ї': 'i', 'є': 'e', 'ґ': 'g', 'ў': 'u'
+    };
+    /**
+     * Lowercases, transliterates and removes diacritics.
+     * Ambiguous latin spellings are reduced to one ("kh" → "h", "j" → "y")
      *
-     * @param {HTMLElement} containerNode
+     * @param {String} string
      *
-     * @returns {Number}
+     * @returns {String}
      */
-    SchemeLayer.getFitZoom = function (containerNode) {
-        return this.getZoomFromScale(Math.min(
-            containerNode.clientWidth / this.SQUARE_SIZE,
-            containerNode.clientHeight / this.SQUARE_SIZE
-        ));
+    StationSearch.normalize = function (string) {
+        string = string.toLowerCase().replace(/[\u0400-\u04ff]/g, function (letter) {
+            return StationSearch.TRANSLITERATION.hasOwnProperty(letter) ?
+                StationSearch.TRANSLITERATION[letter] :
+                letter;
+        });
+        if (string.normalize) {
+            string = string.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+        }
+
+        return string.replace(/kh/g, 'h').replace(/j/g, 'y');
     };
     /**
-     * Size of the layer with zoom = 0
+     * Splits a string into normalized words
      *
-     * @see http://api.yandex.ru/maps/doc/jsapi/beta/ref/reference/projection.Cartesian.xml
+     * @param {String} string
+     *
+     * @returns {Array<String>}
      */
-    SchemeLayer.SQUARE_SIZE = 256;
+    StationSearch.tokenize = function (string) {
+        return StationSearch.normalize(string).split(/[^a-z0-9]+/).filter(Boolean);
+    };
     /**
-     * Translates an image scale into a map zoom
+     * Number of typos allowed in a word of a request
      *
-     * @param {Number} zoom
+     * @param {Number} length
      *
      * @returns {Number}
      */
-    SchemeLayer.getScaleFromZoom = function (zoom) {
-        return Math.pow(2, zoom);
+    StationSearch.getMaxTypos = function (length) {
+        if (length < 4) {
+            return 0;
+        }
+        return length < 8 ? 1 : 2;
     };
     /**
-     * Translates a map zoom into an image scale
+     * Edit distance (with transpositions) between a query
+     * and the closest beginning of a token
      *
-     * @param {Number} zoom
+     * @param {String} query
+     * @param {String} token
      *
      * @returns {Number}
      */
-    SchemeLayer.getZoomFromScale = function (scale) {
-        return Math.log(scale) * Math.LOG2E;
+    StationSearch.getPrefixDistance = function (query, token) {
+        var rows = [], i, j;
+
+        for (i = 0; i <= query.length; i++) {
+            rows[i] = [i];
+        }
+        for (j = 1; j <= token.length; j++) {
+            rows[0][j] = j;
+        }
+        for (i = 1; i <= query.length; i++) {
+            for (j = 1; j <= token.length; j++) {
+                rows[i][j] = Math.min(
+                    rows[i - 1][j] + 1,
+                    rows[i][j - 1] + 1,
+                    rows[i - 1][j - 1] + (query[i - 1] === token[j - 1] ? 0 : 1)
+                );
+                if (i > 1 && j > 1 && query[i - 1] === token[j - 2] && query[i - 2] === token[j - 1]) {
+                    rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+                }
+            }
+        }
+
+        return Math.min.apply(Math, rows[query.length]);
     };
 
     /**
-     * View on a scheme image.
-     * Responsible for moving and scaling.
-     * Contains a meta data from a scheme
+     * Search box with suggestions.
+     * Is exposed as "ymaps.transportMap.SearchControl"
+     * and is added via "transportMap.getMap().controls.add(control)".
+     *
+     * Up/Down keys move through suggestions, Enter selects, Escape closes.
+     * A chosen station is selected and the map is moved to it.
+     * Fires 'suggest' and 'resultselect' events.
+     *
+     * Markup uses "transport-map-search" css classes,
+     * texts depend on the language of a scheme
      *
      * @constructor
+     * @inherits ymaps.collection.Item
      *
-     * @param {SVGElement} scheme Root node of a scheme image
+     * @param {TransportMap} transportMap
+     * @param {Object} [options]
+     * @param {Number} [options.limit = 10] Max number of suggestions
+     * @param {Number} [options.zoom = 2] Min zoom to show a chosen station
+     * @param {String} [options.className] Extra css class of the control
+     * @param {String} [options.placeholder] Overrides the localized placeholder
+     * @param {String} [options.noResultsText] Overrides the localized "nothing found" text
      */
-    function SchemeView(node) {
-        this._node = node;
-        this._baseScale = 1;
-        this._relativeScale = 1;
+    function SearchControl(transportMap, options) {
+        SearchControl.superclass.constructor.call(this, options);
+
+        this._transportMap = transportMap;
+        this._suggestions = [];
+        this._activeIndex = -1;
+        this._createDom();
     }
-    SchemeView.prototype = {
-        getWidth: function () {
-            var scale = this._relativeScale * this._baseScale,
-                metadata = this.getMetaData();
+    ymaps.util.augment(SearchControl, ymaps.collection.Item, {
+        /**
+         * @override ymaps.collection.Item
+         */
+        onAddToMap: function (map) {
+            SearchControl.superclass.onAddToMap.call(this, map);
 
-            return metadata.width * scale;
+            this._transportMap.events.add('schemechange', this._updateTexts, this);
+            this.getParent().getChildElement(this).then(function (parentNode) {
+                parentNode.appendChild(this._node);
+            }.bind(this));
         },
-        getHeight: function () {
-            var scale = this._relativeScale * this._baseScale,
-                metadata = this.getMetaData();
+        /**
+         * @override ymaps.collection.Item
+         */
+        onRemoveFromMap: function (oldMap) {
+            this._transportMap.events.remove('schemechange', this._updateTexts, this);
+            if (this._node.parentNode) {
+                this._node.parentNode.removeChild(this._node);
+            }
 
-            return metadata.height * scale;
+            SearchControl.superclass.onRemoveFromMap.call(this, oldMap);
+        },
+        /**
+         * Searches stations and shows suggestions
+         *
+         * @param {String} request
+         *
+         * @returns {ymaps.vow.Promise} Resolves to an array of stations
+         */
+        suggest: function (request) {
+            this._request = request;
+
+            return this._transportMap.stations.search(request, {
+                limit: this.options.get('limit', 10)
+            }).then(function (stations) {
+                // request was changed while searching
+                if (request === this._request) {
+                    if (request) {
+                        this._showSuggestions(stations, request);
+                    } else {
+                        this._hideSuggestions();
+                    }
+                    this.events.fire('suggest', {target: this, request: request, stations: stations});
+                }
+                return stations;
+            }.bind(this));
+        },
+        /**
+         * Selects a station and moves the map to it.
+         * Fires 'resultselect' event
+         *
+         * @param {Station} station
+         *
+         * @returns {ymaps.vow.Promise} Resolves when the map is moved
+         */
+        selectResult: function (station) {
+            var map = this._transportMap.getMap();
+
+            this._input.value = station.title;
+            this._hideSuggestions();
+            this._transportMap.stations.select(station.code);
+            this.events.fire('resultselect', {target: this, station: station});
+
+            return map.setCenter(
+                station.getCenter(),
+                Math.max(map.getZoom(), this.options.get('zoom', 2)),
+                {duration: 300}
+            );
+        },
+        /**
+         * @returns {HTMLElement}
+         */
+        getElement: function () {
+            return this._node;
+        },
+        _createDom: function () {
+            var className = this.options.get('className');
+
+            insertStyle(SearchControl.STYLE);
+
+            this._node = document.createElement('div');
+            this._node.className = 'transport-map-search' + (className ? ' ' + className : '');
+
+            this._input = document.createElement('input');
+            this._input.type = 'text';
+            this._input.className = 'transport-map-search__input';
+            this._input.setAttribute('autocomplete', 'off');
+            this._input.setAttribute('role', 'combobox');
+            this._input.setAttribute('aria-autocomplete', 'list');
+            this._input.setAttribute('aria-expanded', 'false');
+            this._node.appendChild(this._input);
+
+            this._list = document.createElement('ul');
+            this._list.className = 'transport-map-search__list';
+            this._list.setAttribute('role', 'listbox');
+            this._list.style.display = 'none';
+            this._node.appendChild(this._list);
+
+            this._input.addEventListener('input', function () {
+                this.suggest(this._input.value).done();
+            }.bind(this));
+            this._input.addEventListener('keydown', this._onKeyDown.bind(this));
+            this._input.addEventListener('blur', this._hideSuggestions.bind(this));
+            // "mousedown" comes before "blur" of the input
+            this._list.addEventListener('mousedown', function (e) {
+                var index = Number(e.target.getAttribute('data-index'));
+
+                e.preventDefault();
+                if (this._suggestions[index]) {
+                    this.selectResult(this._suggestions[index]).done();
+                }
+            }.bind(this));
+
+            this._updateTexts();
+        },
+        _onKeyDown: function (e) {
+            var KEYS = {ENTER: 13, ESCAPE: 27, UP: 38, DOWN: 40},
+                count = this._suggestions.length;
+
+            switch (e.keyCode) {
+            case KEYS.DOWN:
+            case KEYS.UP:
+                e.preventDefault();
+                if (count) {
+                    this._setActive((this._activeIndex + (e.keyCode === KEYS.DOWN ? 1 : count - 1)) % count);
+                }
+                break;
+            case KEYS.ENTER:
+                if (count) {
+                    this.selectResult(this._suggestions[Math.max(this._activeIndex, 0)]).done();
+                }
+                break;
+            case KEYS.ESCAPE:
+                this._hideSuggestions();
+                break;
+            }
+        },
+        /**
+         * Renders found stations or the "nothing found" item
+         *
+         * @param {Array<Station>} stations
+         * @param {String} request
+         */
+        _showSuggestions: function (stations, request) {
+            this._suggestions = stations;
+            this._activeIndex = -1;
+            this._list.innerHTML = '';
+
+            stations.forEach(function (station, index) {
+                var item = document.createElement('li');
+
+                item.className = 'transport-map-search__item';
+                item.id = 'transport-map-search-' + station.code;
+                item.setAttribute('role', 'option');
+                item.setAttribute('data-index', index);
+                item.textContent = station.title;
+                this._list.appendChild(item);
+            }, this);
+
+            if (!stations.length && request) {
+                this._list.innerHTML = '<li class="transport-map-search__empty"></li>';
+                this._list.firstChild.textContent = this._getText('noResultsText');
+            }
+
+            this._list.style.display = this._list.firstChild ? '' : 'none';
+            this._input.setAttribute('aria-expanded', String(Boolean(stations.length)));
+            this._input.removeAttribute('aria-activedescendant');
+        },
+        /**
+         * Closes the list. A search in progress won't open it again
+         */
+        _hideSuggestions: function () {
+            this._request = null;
+            this._suggestions = [];
+            this._activeIndex = -1;
+            this._list.innerHTML = '';
+            this._list.style.display = 'none';
+            this._input.setAttribute('aria-expanded', 'false');
+            this._input.removeAttribute('aria-activedescendant');
+        },
+        _setActive: function (index) {
+            var ACTIVE_CLASS = 'transport-map-search__item_active',
+                items = this._list.childNodes;
+
+            if (items[this._activeIndex]) {
+                items[this._activeIndex].className = items[this._activeIndex].className.replace(' ' + ACTIVE_CLASS, '');
+                items[this._activeIndex].removeAttribute('aria-selected');
+            }
+            this._activeIndex = index;
+            items[index].className += ' ' + ACTIVE_CLASS;
+            items[index].setAttribute('aria-selected', 'true');
+            this._input.setAttribute('aria-activedescendant', items[index].id);
+        },
+        _updateTexts: function () {
+            this._input.placeholder = this._getText('placeholder');
+        },
+        _getText: function (key) {
+            var texts = SearchControl.TEXTS[this._transportMap.getLanguage()] || SearchControl.TEXTS.en;
+
+            return this.options.get(key, texts[key]);
+        }
+    });
+    /**
+     * Localized texts by a scheme language
+     */
+    SearchControl.TEXTS = {
+        ru: {placeholder: 'Поиск станции', noResultsText: 'Ничего не найдено'},
+        en: {placeholder: 'Find a station', noResultsText: 'Nothing found'},
+        uk: {placeholder: 'Пошук станції', noResultsText: 'Нічого не знайдено'},
+        be: {placeholder: 'Пошук станцыі', noResultsText: 'Нічога не знойдзена'}
+    };
+    /**
+     * Default look of the control
+     */
+    SearchControl.STYLE = [
+        '.transport-map-search{position:relative;width:220px;font:13px Arial,sans-serif}',
+        '.transport-map-search__input{box-sizing:border-box;width:100%;padding:4px 6px;' +
+            'border:1px solid #ccc;border-radius:3px}',
+        '.transport-map-search__list{position:absolute;left:0;right:0;margin:2px 0 0;padding:0;' +
+            'list-style:none;background:#fff;box-shadow:0 2px 6px rgba(0,0,0,.3)}',
+        '.transport-map-search__item,.transport-map-search__empty{padding:4px 6px;cursor:pointer}',
+        '.transport-map-search__empty{color:#999;cursor:default}',
+        '.transport-map-search__item_active{background:#ffeba0}'
+    ].join('');
+
+    /**
+     * Layer with html markers of stations.
+     * Markers keep their size and follow the scheme on every "actiontick"
+     *
+     * @constructor
+     * @inherits ymaps.collection.Item
+     */
+    function MarkerLayer() {
+        MarkerLayer.superclass.constructor.call(this);
+
+        this._markers = [];
+        this._node = document.createElement('div');
+        this._node.className = 'transport-map-markers';
+    }
+    ymaps.util.augment(MarkerLayer, ymaps.collection.Item, {
+        /**
+         * Inserts markers right above the scheme
+         *
+         * @override ymaps.collection.Item
+         */
+        onAddToMap: function (map) {
+            var ground;
+            MarkerLayer.superclass.onAddToMap.call(this, map);
+
+            insertStyle(MarkerLayer.STYLE);
+            map.events.add('actiontick', this._onActionTick, this);
+
+            ground = map.panes.get('ground').getElement();
+            ground.parentNode.insertBefore(this._node, ground);
+            this._update(map.getGlobalPixelCenter(), map.getZoom());
+        },
+        /**
+         * @override ymaps.collection.Item
+         */
+        onRemoveFromMap: function (oldMap) {
+            oldMap.events.remove('actiontick', this._onActionTick, this);
+            this._node.parentNode.removeChild(this._node);
+
+            MarkerLayer.superclass.onRemoveFromMap.call(this, oldMap);
+        },
+        /**
+         * @param {Marker} marker
+         */
+        add: function (marker) {
+            var map = this.getMap();
+
+            this._markers.push(marker);
+            this._node.appendChild(marker.getElement());
+            if (map) {
+                this._updateMarker(marker, map.getGlobalPixelCenter(), map.getZoom());
+            }
+        },
+        /**
+         * @param {Marker} marker
+         */
+        remove: function (marker) {
+            var index = this._markers.indexOf(marker);
+
+            if (index !== -1) {
+                this._markers.splice(index, 1);
+                this._node.removeChild(marker.getElement());
+            }
+        },
+        _onActionTick: function (e) {
+            var tick = e.get('tick');
+
+            this._update(tick.globalPixelCenter, tick.zoom);
+        },
+        _update: function (globalPixelCenter, zoom) {
+            this._markers.forEach(function (marker) {
+                this._updateMarker(marker, globalPixelCenter, zoom);
+            }, this);
         },
-        fadeOut: function () {
-            this._node.getElementById('scheme-layer').style.opacity = '';
+        _updateMarker: function (marker, globalPixelCenter, zoom) {
+            var projection = this.getMap().options.get('projection'),
+                position = projection.toGlobalPixels(marker.getPosition(), zoom),
+                offset = marker.getOffset(),
+                style = marker.getElement().style;
+
+            style.left = (position[0] - globalPixelCenter[0] + offset[0]) + 'px';
+            style.top = (position[1] - globalPixelCenter[1] + offset[1]) + 'px';
+        }
+    });
+    /**
+     * Markers layer is a zero-size box in the center of the map,
+     * marker content is centered on its position
+     */
+    MarkerLayer.STYLE = [
+        '.transport-map-markers{position:absolute;left:50%;top:50%;width:0;height:0}',
+        '.transport-map-marker{position:absolute;width:0;height:0;pointer-events:none}',
+        '.transport-map-marker__content{position:absolute;white-space:nowrap;' +
+            '-webkit-transform:translate(-50%,-50%);-ms-transform:translate(-50%,-50%);' +
+            'transform:translate(-50%,-50%)}'
+    ].join('');
+
+    /**
+     * Html marker of a station: a badge, an icon, etc.
+     * Is created by Station#addMarker
+     *
+     * @constructor
+     *
+     * @param {Station} station
+     * @param {String|HTMLElement} content Html string or an element
+     * @param {Object} [options]
+     * @param {Array<Number>} [options.offset = [0, 0]] Offset from the station center in pixels
+     * @param {String} [options.className] Extra css class of the marker
+     */
+    function Marker(station, content, options) {
+        options = options || {};
+
+        this._station = station;
+        this._offset = options.offset || [0, 0];
+
+        this._node = document.createElement('div');
+        this._node.className = 'transport-map-marker' + (options.className ? ' ' + options.className : '');
+        this._contentNode = document.createElement('div');
+        this._contentNode.className = 'transport-map-marker__content';
+        this._node.appendChild(this._contentNode);
+
+        this.setContent(content);
+    }
+    Marker.prototype = {
+        /**
+         * @param {String|HTMLElement} content Html string or an element
+         */
+        setContent: function (content) {
+            if (typeof content === 'string') {
+                this._contentNode.innerHTML = content;
+            } else {
+                this._contentNode.innerHTML = '';
+                this._contentNode.appendChild(content);
+            }
+        },
+        /**
+         * @returns {HTMLElement}
+         */
+        getElement: function () {
+            return this._node;
+        },
+        /**
+         * @returns {Station}
+         */
+        getStation: function () {
+            return this._station;
+        },
+        /**
+         * Station center in map coordinates.
+         * Scheme doesn't change, so it is calculated once
+         *
+         * @returns {Array<Number>}
+         */
+        getPosition: function () {
+            if (!this._position) {
+                this._position = this._station.getCenter();
+            }
+            return this._position;
+        },
+        /**
+         * @returns {Array<Number>}
+         */
+        getOffset: function () {
+            return this._offset;
+        },
+        /**
+         * Removes the marker from the station
+         */
+        remove: function () {
+            this._station.removeMarker(this);
+        }
+    };
+
+    /**
+     * Graph of a scheme, that finds the fastest routes.
+     * Stations and lines can be excluded from a route, @see Router#route
+     *
+     * Vertices are station ids (not codes), edges are:
+     *  - "links" from the metadata – rides between neighbouring stations;
+     *  - "transfers" from the metadata – walks between stations;
+     *  - implicit transfers between stations under the same label.
+     * Both links and transfers may have an optional "time" in seconds
+     * and are drawn by "link-{id}" and "transfer-{id}" nodes
+     *
+     * @constructor
+     *
+     * @param {SchemeView} schemeView
+     */
+    function Router(schemeView) {
+        var metadata = schemeView.getMetaData();
+
+        this._codeByStationId = {};
+        this._edges = {};
+
+        Object.keys(metadata.labels).forEach(function (code) {
+            var stationIds = metadata.labels[code].stationIds;
+
+            stationIds.forEach(function (id) {
+                this._codeByStationId[id] = Number(code);
+
+                stationIds.forEach(function (otherId) {
+                    if (otherId !== id) {
+                        this._addEdge(id, otherId, Router.TRANSFER_TIME, true, null);
+                    }
+                }, this);
+            }, this);
+        }, this);
+
+        this._addEdges(metadata.links, Router.LINK_TIME, false, 'link-');
+        this._addEdges(metadata.transfers, Router.TRANSFER_TIME, true, 'transfer-');
+    }
+    /**
+     * Default time of a ride between neighbouring stations in seconds
+     */
+    Router.LINK_TIME = 120;
+    /**
+     * Default time of a transfer in seconds
+     */
+    Router.TRANSFER_TIME = 180;
+    Router.prototype = {
+        _addEdges: function (edgesMeta, defaultTime, isTransfer, nodeIdPrefix) {
+            var id, edge;
+
+            for (id in edgesMeta) {
+                edge = edgesMeta[id];
+
+                this._addEdge(edge.fromStationId, edge.toStationId,
+                    edge.time || defaultTime, isTransfer, nodeIdPrefix + id, edge.lineId);
+                this._addEdge(edge.toStationId, edge.fromStationId,
+                    edge.time || defaultTime, isTransfer, nodeIdPrefix + id, edge.lineId);
+            }
         },
-        fadeIn: function () {
-            this._node.getElementById('scheme-layer').style.opacity = 0.5;
+        _addEdge: function (from, to, time, isTransfer, nodeId, lineId) {
+            (this._edges[from] = this._edges[from] || []).push({
+                to: to,
+                time: time,
+                isTransfer: isTransfer,
+                nodeId: nodeId,
+                lineId: lineId === undefined ? null : String(lineId)
+            });
         },
         /**
-         * Sets the base size of a scheme image.
-         * Scaling will be relative to this size
+         * Returns a station code by a station id
          *
-         * For example SchemeLayer is 256x256 by default
-         * and moscow svg image is 1080x1040,
-         * therefore SchemeLayer need to set a base size
-         * to simplify further scaling
+         * @param {Number} stationId
          *
-         * @param {Number} width
-         * @param {Number} height
+         * @returns {Number}
          */
-        setBaseSize: function (width, height) {
-            var metadata = this.getMetaData();
-
-            this._baseScale = Math.min(
-                width  / metadata.width,
-                height / metadata.height
-            );
-
-            this.setScale(this._relativeScale);
+        getCode: function (stationId) {
+            return this._codeByStationId[stationId];
         },
         /**
-         * Returns a scale that fits the scheme into the base size.
+         * Returns an id of the node, that connects two neighbouring stations
          *
-         * @returns {Number}
+         * @param {Number} from Station id
+         * @param {Number} to Station id
+         *
+         * @returns {String|null} Id of a "link-" or "transfer-" node,
+         *  null if stations are not connected or connection is not drawn
          */
-        getBaseScale: function () {
-            return this._baseScale;
+        getEdgeNodeId: function (from, to) {
+            var edges = (this._edges[from] || []).filter(function (edge) {
+                return edge.to === to && edge.nodeId;
+            });
+
+            return edges.length ? edges[0].nodeId : null;
         },
         /**
-         * Move an image.
-         * Relative to the initial position
+         * Joins stations into a continuous path.
+         * Gaps between non-neighbouring stations are filled with the fastest routes,
+         * stations that are not connected stay apart
          *
-         * @param {Array} vector An array of dx and dy values
+         * @param {Array<Number>} codes Ordered station codes
+         * @param {Object} [exclusion] @see Router#route
+         *
+         * @returns {Array<Number>} Ordered station ids
          */
-        setTranslate: function (vector) {
-            var value = 'translate(' + (- vector[0]) + 'px,' + (- vector[1]) + 'px)';
+        getPath: function (codes, exclusion) {
+            var stationIds = [],
+                // routes[i] leads from codes[i] to codes[i + 1]
+                routes = codes.slice(1).map(function (code, index) {
+                    return this.route(codes[index], code, exclusion);
+                }, this);
 
-            ['-webkit-', '-moz-', '-ms-', '-o-', ''].forEach(function (prefix) {
-                this._node.style[prefix + 'transform'] = value;
+            codes.forEach(function (code, index) {
+                var ids;
+
+                if (routes[index - 1]) {
+                    ids = routes[index - 1].stationIds;
+                } else if (routes[index]) {
+                    // the next route starts from this station
+                    ids = [];
+                } else {
+                    ids = this._getStationIds(code);
+                }
+
+                if (ids[0] === stationIds[stationIds.length - 1]) {
+                    ids = ids.slice(1);
+                }
+                stationIds.push.apply(stationIds, ids);
             }, this);
+
+            return stationIds;
         },
         /**
-         * TODO give a link to a public doc about MetaData format
+         * Finds the fastest route between two stations (Dijkstra).
          *
-         * @returns {Object}
+         * Route object fields:
+         *  - stations – ordered codes of stations on the way;
+         *  - stationIds – ordered ids of stations (platforms) on the way;
+         *  - transfers – codes of stations where a passenger changes a line;
+         *  - time – estimated time in seconds.
+         *
+         * Trains go through excluded stations,
+         * but a passenger can't board, leave or change there.
+         * Links of excluded lines are not used
+         *
+         * @param {Number} from Code of the departure station
+         * @param {Number} to Code of the arrival station
+         * @param {Object} [exclusion]
+         * @param {Array<Number>} [exclusion.stations] Codes of excluded stations
+         * @param {Array<String>} [exclusion.lines] Ids of excluded lines
+         *
+         * @returns {Object|null} Route or null, if stations are not connected
          */
-        getMetaData: function () {
-            var metadataNode;
+        route: function (from, to, exclusion) {
+            var time = {}, previous = {}, visited = {}, queue = [],
+                targets = {}, current;
+
+            this._getStationIds(to).forEach(function (id) {
+                targets[id] = true;
+            });
+            this._getStationIds(from).forEach(function (id) {
+                time[id] = 0;
+                queue.push(id);
+            });
+
+            while (queue.length) {
+                current = this._shiftNearest(queue, time);
+
+                if (targets[current]) {
+                    return this._buildRoute(current, time, previous);
+                }
+                visited[current] = true;
 
-            if (!this._metadata) {
-                metadataNode = this._node.getElementsByTagName('metadata')[0];
-                this._metadata = JSON.parse(metadataNode.firstChild.data);
+                (this._edges[current] || []).forEach(function (edge) {
+                    var newTime = time[current] + edge.time;
 
-                this._node.removeChild(metadataNode);
+                    if (visited[edge.to] || (exclusion && this._isExcluded(current, edge, exclusion))) {
+                        return;
+                    }
+                    if (!time.hasOwnProperty(edge.to)) {
+                        queue.push(edge.to);
+                    } else if (time[edge.to] <= newTime) {
+                        return;
+                    }
+                    time[edge.to] = newTime;
+                    previous[edge.to] = {id: current, isTransfer: edge.isTransfer};
+                }, this);
             }
 
-            return this._metadata;
-        },
-        /**
-         * @returns {SVGElement}
-         */
-        getNode: function () {
-            return this._node;
+            return null;
         },
-        _getTransform: function () {
-            if (!this._transform) {
-                this._transform = this._node.getElementById('transform-wrapper').transform.baseVal.getItem(0);
+        _isExcluded: function (from, edge, exclusion) {
+            if (edge.lineId !== null && (exclusion.lines || []).indexOf(edge.lineId) !== -1) {
+                return true;
             }
-            return this._transform;
+            return edge.isTransfer && (exclusion.stations || []).some(function (code) {
+                return code === this._codeByStationId[from] || code === this._codeByStationId[edge.to];
+            }, this);
         },
-        /**
-         * Scales a scheme image, relative to the base size.
-         * Base size is an image size from the metadata.
-         * Base size usually is overwrited  by "setBaseSize'
-         *
-         * @param {Number} relativeScale
-         */
-        setScale: function (relativeScale) {
-            var scale = relativeScale * this._baseScale,
-                metadata = this.getMetaData();
+        _getStationIds: function (code) {
+            var ids = [], id;
 
-            this._relativeScale = relativeScale;
-            this._getTransform().setScale(scale, scale);
+            for (id in this._codeByStationId) {
+                if (this._codeByStationId[id] === Number(code)) {
+                    ids.push(Number(id));
+                }
+            }
 
-            ymaps.util.extend(this._node.style, {
-                width: (metadata.width * scale) + 'px',
-                height: (metadata.height * scale)  + 'px',
+            return ids;
+        },
+        _shiftNearest: function (queue, time) {
+            var nearestIndex = 0;
+
+            queue.forEach(function (id, index) {
+                if (time[id] < time[queue[nearestIndex]]) {
+                    nearestIndex = index;
+                }
             });
+
+            return queue.splice(nearestIndex, 1)[0];
+        },
+        _buildRoute: function (lastId, time, previous) {
+            var stationIds = [], stations = [], transfers = [],
+                id = lastId, code;
+
+            while (previous.hasOwnProperty(id)) {
+                stationIds.unshift(Number(id));
+                if (previous[id].isTransfer) {
+                    code = this._codeByStationId[previous[id].id];
+                    if (transfers.indexOf(code) === -1) {
+                        transfers.unshift(code);
+                    }
+                }
+                id = previous[id].id;
+            }
+            stationIds.unshift(Number(id));
+
+            stationIds.forEach(function (id) {
+                var code = this._codeByStationId[id];
+
+                if (stations[stations.length - 1] !== code) {
+                    stations.push(code);
+                }
+            }, this);
+
+            return {
+                stations: stations,
+                stationIds: stationIds,
+                transfers: transfers,
+                time: time[lastId]
+            };
         }
     };
 
     /**
-     * Station manager.
-     * Responsible for selection/deselection of stations
-     *
-     * Has an EventManager, which is a parent for all Stations' EventManagers
+     * Path on a scheme, that is drawn above the shade.
+     * Consists of stations, their labels and nodes,
+     * that connect neighbouring stations
      *
      * @constructor
-     * @inherits ymaps.Collection
      *
      * @param {SchemeView} schemeView
-     * @param {ymap.Map} ymap
+     * @param {Router} router
+     * @param {Array<Number>} stationIds Ordered station ids
      */
-    function StationCollection(schemeView) {
-        StationCollection.superclass.constructor.call(this);
+    function PathHighlight(schemeView, router, stationIds) {
+        var svgNode = schemeView.getNode(), codes = [];
 
-        var code, metadata = schemeView.getMetaData().stations, station;
+        this._schemeView = schemeView;
+        this._nodes = [];
 
-        this._stationsMap = {};
+        stationIds.forEach(function (id, index) {
+            var code = router.getCode(id),
+                edgeNodeId = index && router.getEdgeNodeId(stationIds[index - 1], id);
 
-        for (code in metadata) {
-            station = new Station(metadata[code], schemeView);
-            // event bubbling
-            this._stationsMap[code] = station;
-            this.add(station);
-            station.events.setParent(this.events);
-        }
+            this._addNode(svgNode.getElementById('station-' + id), 'stations');
+            if (codes.indexOf(code) === -1) {
+                codes.push(code);
+                this._addNode(svgNode.getElementById('label-' + code), 'labels');
+            }
+            if (edgeNodeId) {
+                this._addNode(
+                    svgNode.getElementById(edgeNodeId),
+                    edgeNodeId.indexOf('link-') === 0 ? 'links' : 'transfers'
+                );
+            }
+        }, this);
     }
-    ymaps.util.augment(StationCollection, ymaps.Collection, {
-        /**
-         * Selects stations by codes
-         *
-         * @param {Array<Number>|Number} codes
-         */
-        select: function (codes) {
-            [].concat(codes).forEach(function (code) {
-                this.getByCode(code).select();
-            }, this);
+    PathHighlight.prototype = {
+        _addNode: function (node, layer) {
+            if (node) {
+                this._nodes.push({node: node, layer: layer});
+            }
         },
-        /**
-         * Deselects stations
-         *
-         * @param {Array<Number>|Number} codes
-         */
-        deselect: function (codes) {
-            [].concat(codes).forEach(function (code) {
-                this.getByCode(code).deselect();
+        show: function () {
+            this._nodes.forEach(function (item) {
+                this._schemeView.raise(item.node, item.layer);
             }, this);
         },
-        /**
-         * Returns codes of all selected stations
-         *
-         * @returns {Array<Number>}
-         */
-        getSelection: function () {
-            var codes = [];
-            this.each(function (station) {
-                if (station.selected) {
-                    codes.push(station.code);
-                }
-            });
-            return codes;
-        },
-        getByCode: function (code) {
-            return this._stationsMap[code];
-        },
-        /**
-         * Search stations by words starting with the letters %request%
-         *
-         * @param {String} request
-         *
-         * @returns {ymaps.vow.Promise} Resolves to an array of stations
-         */
-        search: function (request) {
-            return new ymaps.vow.fulfill(this.filter(function (station) {
-                return station.title.split(' ').some(function (token) {
-                    return token.substr(0, request.length) === request;
-                });
-            }));
+        hide: function () {
+            this._nodes.forEach(function (item) {
+                this._schemeView.lower(item.node);
+            }, this);
         }
-    });
+    };
+
     /**
-     * Station instance
-     * Is exposed via StationCollection#each
-     *
-     * Has an Event Manager, that fires a custom event "selectionchange"
-     * For more events please see
-     * @see http://api.yandex.ru/maps/doc/jsapi/beta/ref/reference/GeoObject.xml#events-summary
+     * Keyboard navigation and screen reader support.
+     * The map container becomes a focusable listbox, station labels become its options:
+     *  - arrows move the focus to the nearest station in the direction;
+     *  - Enter and Space toggle selection of the focused station;
+     *  - Shift + arrows pan the map, "+" and "-" zoom it;
+     *  - Escape drops the focus.
+     * Focus and selection changes are announced via a live region
      *
      * @constructor
-     * @inherits ymaps.collection.Item
      *
-     * @param {Object} metadata Metadata for the station
-     * @param {SchemeView} SchemeView
-     * @param {ymap.Map} ymap
+     * @param {TransportMap} transportMap
+     * @param {HTMLElement} container Container of the map
      */
-    function Station(metadata, schemeView, options) {
-        Station.superclass.constructor.call(this, options);
+    function KeyboardNavigation(transportMap, container) {
+        this._transportMap = transportMap;
+        this._container = container;
+        this._focused = null;
 
-        this.code = metadata.labelId;
-        this.title = metadata.name;
-        this._schemeView = schemeView;
-        this.selected = false;
+        this._liveRegion = document.createElement('div');
+        this._liveRegion.className = 'transport-map-a11y';
+        this._liveRegion.setAttribute('aria-live', 'polite');
+        this._container.appendChild(this._liveRegion);
 
-        this.events.add('click', function () {
-            //toggle select
-            this[this.selected ? 'deselect':'select']();
-        }, this);
+        insertStyle(KeyboardNavigation.STYLE);
+        this._container.setAttribute('tabindex', 0);
+        this._container.setAttribute('role', 'listbox');
+        this._updateLabels();
+
+        this._onKeyDown = this._onKeyDown.bind(this);
+        this._container.addEventListener('keydown', this._onKeyDown);
+        transportMap.events.add('selectionchange', this._onSelectionChange, this);
+        transportMap.events.add('schemechange', this._onSchemeChange, this);
     }
-    ymaps.util.augment(Station, ymaps.collection.Item, {
+    KeyboardNavigation.prototype = {
         /**
-         * @override ymaps.collection.Item
+         * Moves the focus to a station and shows it
+         *
+         * @param {Number|null} code Station code, null to drop the focus
          */
-        onAddToMap: function () {
-            Station.superclass.onAddToMap.apply(this, arguments);
+        focus: function (code) {
+            var station;
 
-            this._getGeoObjects().forEach(function (geoObject) {
-                // event bubbling
-                geoObject.events.setParent(this.events);
-            }, this);
+            if (this._focused !== null && this._getStations().getByCode(this._focused)) {
+                toggleClass(this._getStations().getByCode(this._focused).getLabelNode(),
+                    KeyboardNavigation.FOCUSED_CLASS, false);
+            }
+            this._focused = code;
+
+            if (code === null) {
+                this._container.removeAttribute('aria-activedescendant');
+                return;
+            }
+
+            station = this._getStations().getByCode(code);
+            toggleClass(station.getLabelNode(), KeyboardNavigation.FOCUSED_CLASS, true);
+            this._container.setAttribute('aria-activedescendant', station.getLabelNode().id);
+            this._announce(station.title + (station.selected ? ', ' + this._getText('selectedState') : ''));
+            this._show(station);
         },
         /**
-         * Non-cacheble getter for label node.
-         * Too many labels on the map to cache them all
-         *
-         * @returns {HTMLElement}
+         * @returns {Number|null} Code of the focused station
          */
-        getLabelNode: function () {
-            return this._schemeView.getNode().getElementById('label-' + this.code);
+        getFocused: function () {
+            return this._focused;
         },
-        /**
-         * Selects current station.
-         * Fires 'selectionchange' event
-         * If station is already selected - nothing happens
-         */
-        select: function () {
-            var rectNode;
-            if (!this.selected) {
-                rectNode = this.getLabelNode().getElementsByTagName('rect')[0];
+        destroy: function () {
+            this._container.removeEventListener('keydown', this._onKeyDown);
+            this._transportMap.events.remove('selectionchange', this._onSelectionChange, this);
+            this._transportMap.events.remove('schemechange', this._onSchemeChange, this);
 
-                this.selected = true;
-                rectNode.style.stroke = '#bbb';
-                rectNode.style.opacity = 1;
+            ['tabindex', 'role', 'aria-label', 'aria-multiselectable', 'aria-activedescendant'].forEach(function (name) {
+                this._container.removeAttribute(name);
+            }, this);
+            this._container.removeChild(this._liveRegion);
+        },
+        _getStations: function () {
+            return this._transportMap.stations;
+        },
+        _onKeyDown: function (e) {
+            var KEYS = {ENTER: 13, ESCAPE: 27, SPACE: 32},
+                PLUS = [107, 187, 61],
+                MINUS = [109, 189, 173],
+                DIRECTIONS = {37: [-1, 0], 38: [0, -1], 39: [1, 0], 40: [0, 1]},
+                map = this._transportMap.getMap(),
+                station;
 
-                // make nodes non-shadable
-                this._appendTo('highlight-layer-stations', this._getStationNodes());
-                this._appendTo('highlight-layer-labels', this.getLabelNode());
+            // keys of controls inside the map are not ours
+            if (e.target !== this._container || e.ctrlKey || e.altKey || e.metaKey) {
+                return;
+            }
 
-                this.events.fire('selectionchange', {type: 'select', target: this});
+            if (DIRECTIONS[e.keyCode]) {
+                if (e.shiftKey) {
+                    this._pan(DIRECTIONS[e.keyCode]);
+                } else {
+                    this._moveFocus(DIRECTIONS[e.keyCode]);
+                }
+            } else if (PLUS.indexOf(e.keyCode) !== -1 || MINUS.indexOf(e.keyCode) !== -1) {
+                map.setZoom(map.getZoom() + (PLUS.indexOf(e.keyCode) !== -1 ? 1 : -1), {
+                    duration: getDuration(true),
+                    checkZoomRange: true
+                });
+            } else if (e.keyCode === KEYS.ENTER || e.keyCode === KEYS.SPACE) {
+                station = this._focused !== null && this._getStations().getByCode(this._focused);
+                if (!station || this._getStations().options.get('selectionMode', 'multiple') === 'none') {
+                    return;
+                }
+                station[station.selected ? 'deselect' : 'select']();
+            } else if (e.keyCode === KEYS.ESCAPE) {
+                this.focus(null);
+            } else {
+                return;
             }
+            e.preventDefault();
         },
         /**
-         * Deselects current station.
-         * Fires 'selectionchange' event
-         * If station is not selected - nothing happens
+         * Focuses the nearest station in the direction.
+         * Stations far from the direction line are penalized.
+         * Without a focused station focuses the nearest one to the map center
+         *
+         * @param {Array<Number>} direction Unit vector in screen coordinates
          */
-        deselect: function () {
-            var rectNode;
-            if (this.selected) {
-                rectNode = this.getLabelNode().getElementsByTagName('rect')[0];
+        _moveFocus: function (direction) {
+            var origin = this._focused === null ?
+                    this._transportMap.getMap().getGlobalPixelCenter().map(function (value) {
+                        return value / Math.pow(2, this._transportMap.getZoom());
+                    }, this) :
+                    this._getPixels(this._getStations().getByCode(this._focused)),
+                best = null,
+                bestScore = Infinity;
+
+            this._getStations().each(function (station) {
+                var point, along, across, score;
 
-                this.selected = false;
-                rectNode.style.stroke = '';
-                rectNode.style.opacity = '';
+                if (station.code === this._focused) {
+                    return;
+                }
+                point = this._getPixels(station);
+                along = (point[0] - origin[0]) * direction[0] + (point[1] - origin[1]) * direction[1];
+                across = Math.abs((point[0] - origin[0]) * direction[1] - (point[1] - origin[1]) * direction[0]);
+                score = this._focused === null ? Math.sqrt(along * along + across * across) : along + 2 * across;
 
-                this._appendTo('scheme-layer-stations', this._getStationNodes());
-                this._appendTo('scheme-layer-labels', this.getLabelNode());
+                if ((this._focused === null || along > 0) && score < bestScore) {
+                    best = station;
+                    bestScore = score;
+                }
+            }, this);
 
-                this.events.fire('selectionchange', {type: 'deselect', target: this});
+            if (best) {
+                this.focus(best.code);
             }
         },
-        _appendTo: function (id, elements) {
-            var parentNode = this._schemeView.getNode().getElementById(id);
+        /**
+         * @param {Station} station
+         *
+         * @returns {Array<Number>} Center of the station in global pixels of zoom 0
+         */
+        _getPixels: function (station) {
+            return this._transportMap.getMap().options.get('projection').toGlobalPixels(station.getCenter(), 0);
+        },
+        /**
+         * Moves the map by a quarter of the container
+         *
+         * @param {Array<Number>} direction
+         */
+        _pan: function (direction) {
+            var map = this._transportMap.getMap(),
+                center = map.getGlobalPixelCenter();
 
-            [].concat(elements).forEach(function (element) {
-                parentNode.appendChild(element);
-            });
+            map.setGlobalPixelCenter([
+                center[0] + direction[0] * this._container.clientWidth / 4,
+                center[1] + direction[1] * this._container.clientHeight / 4
+            ], map.getZoom(), {duration: getDuration(true)});
         },
-        _getGeoObjects: function () {
-            var svgNodes = [this.getLabelNode()].concat(this._getStationNodes());
+        /**
+         * Centers the map on a station, if it is out of the container
+         *
+         * @param {Station} station
+         */
+        _show: function (station) {
+            var MARGIN = 20,
+                map = this._transportMap.getMap(),
+                scale = Math.pow(2, map.getZoom()),
+                center = map.getGlobalPixelCenter(),
+                point = this._getPixels(station);
 
-            return svgNodes.map(this._createGeoObject, this);
+            if (Math.abs(point[0] * scale - center[0]) > this._container.clientWidth / 2 - MARGIN ||
+                Math.abs(point[1] * scale - center[1]) > this._container.clientHeight / 2 - MARGIN) {
+                map.setCenter(station.getCenter(), map.getZoom(), {duration: getDuration(true)});
+            }
         },
-        _getStationNodes: function () {
-            var labelMeta = this._schemeView.getMetaData().labels[this.code];
+        _onSelectionChange: function (e) {
+            var stations = this._getStations(),
+                titles = function (codes) {
+                    return codes.map(function (code) {
+                        return stations.getByCode(code).title;
+                    }).join(', ');
+                },
+                messages = [];
 
-            return labelMeta.stationIds.map(function (id) {
-                return this._schemeView.getNode().getElementById('station-' + id);
-            }, this);
+            if (e.get('target') !== stations) {
+                return;
+            }
+
+            this._updateLabels();
+            if (e.get('added').length) {
+                messages.push(this._getText('selected') + ': ' + titles(e.get('added')));
+            }
+            if (e.get('removed').length) {
+                messages.push(this._getText('deselected') + ': ' + titles(e.get('removed')));
+            }
+            this._announce(messages.join('. '));
         },
-        _createGeoObject: function (svgNode) {
-            var rectangle = new ymaps.Rectangle(
-                this._getGeoBBox(svgNode),
-                {},
-                {fill: true, opacity: 0}
-            );
-            this.getMap().geoObjects.add(rectangle);
-            return rectangle;
+        _onSchemeChange: function () {
+            this._focused = null;
+            this._container.removeAttribute('aria-activedescendant');
+            this._updateLabels();
         },
-        _getGeoBBox: function (svgNode) {
-            var globalBBox = svgNode.getBBox(),
-                projection = this.getMap().options.get('projection'),
-                schemeMeta = this._schemeView.getMetaData(),
-                center = {x: schemeMeta.width / 2, y: schemeMeta.height / 2},
-                baseZoom = - SchemeLayer.getZoomFromScale(this._schemeView.getBaseScale()),
+        /**
+         * Sets ARIA attributes of the container and station labels
+         */
+        _updateLabels: function () {
+            this._container.setAttribute('aria-label', this._getText('label'));
+            this._container.setAttribute('aria-multiselectable',
+                String(this._getStations().options.get('selectionMode', 'multiple') !== 'single'));
 
-                topLeftPoint = projection.fromGlobalPixels([
-                    globalBBox.x - center.x,
-                    globalBBox.y - center.y
-                ], baseZoom),
-                bottomRightPoint = projection.fromGlobalPixels([
-                    globalBBox.x - center.x + globalBBox.width,
-                    globalBBox.y - center.y + globalBBox.height
-                ], baseZoom);
+            this._getStations().each(function (station) {
+                var labelNode = station.getLabelNode();
 
-            return [topLeftPoint, bottomRightPoint];
+                labelNode.setAttribute('role', 'option');
+                labelNode.setAttribute('aria-label', station.title);
+                labelNode.setAttribute('aria-selected', String(station.selected));
+            });
+        },
+        _announce: function (text) {
+            this._liveRegion.textContent = text;
+        },
+        _getText: function (key) {
+            return (KeyboardNavigation.TEXTS[this._transportMap.getLanguage()] || KeyboardNavigation.TEXTS.en)[key];
         }
-    });
+    };
+    /**
+     * Class of the focused station label
+     */
+    KeyboardNavigation.FOCUSED_CLASS = 'transport-map-station_focused';
+    /**
+     * Localized texts by a scheme language
+     */
+    KeyboardNavigation.TEXTS = {
+        ru: {label: 'Схема метро', selected: 'Выбрано', deselected: 'Снято', selectedState: 'выбрана'},
+        en: {label: 'Metro map', selected: 'Selected', deselected: 'Deselected', selectedState: 'selected'},
+        uk: {label: 'Схема метро', selected: 'Вибрано', deselected: 'Знято', selectedState: 'вибрана'},
+        be: {label: 'Схема метро', selected: 'Выбрана', deselected: 'Знята', selectedState: 'выбрана'}
+    };
+    /**
+     * Focused label and a visually hidden live region
+     */
+    KeyboardNavigation.STYLE = [
+        '.' + KeyboardNavigation.FOCUSED_CLASS + ' rect{stroke:#000;stroke-width:2px;opacity:1}',
+        '.transport-map-a11y{position:absolute;width:1px;height:1px;overflow:hidden;clip:rect(0 0 0 0)}'
+    ].join('');
 });
@@ -0,0 +1,483 @@
+/* global module, DOMParser, XMLSerializer */
+
+/**
+ * DOM-independent part of a transport scheme:
+ * metadata, nodes of stations and labels, highlight layers and shading.
+ * Works with any DOM implementation (a browser, jsdom, xmldom) and doesn't need ymaps,
+ * so schemes can be rendered on a server or in tests.
+ *
+ * Is exposed as "transportMapScheme" in a browser and as a CommonJS module in Node
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.transportMapScheme = factory();
+    }
+}(this, function () {
+    /**
+     * Default look of the shaded scheme
+     */
+    var SHADE_STYLE = {opacity: 0.5},
+        /**
+         * Default look of a selected label background
+         */
+        SELECTION_STYLE = {stroke: '#bbb', opacity: 1};
+
+    function extend(target) {
+        var i, key, source;
+
+        for (i = 1; i < arguments.length; i++) {
+            source = arguments[i];
+            for (key in source) {
+                if (Object.prototype.hasOwnProperty.call(source, key)) {
+                    target[key] = source[key];
+                }
+            }
+        }
+
+        return target;
+    }
+
+    /**
+     * Turns a camelCase css property into a dashed one,
+     * e.g. "strokeWidth" to "stroke-width", "webkitFilter" to "-webkit-filter"
+     *
+     * @param {String} key
+     *
+     * @returns {String}
+     */
+    function toCssProperty(key) {
+        return key
+            .replace(/^(webkit|moz|ms|o)(?=[A-Z])/, '-$1')
+            .replace(/[A-Z]/g, function (letter) {
+                return '-' + letter.toLowerCase();
+            });
+    }
+
+    /**
+     * Replaces inline styles, that were set by the previous call.
+     * Works with the "style" attribute, so a DOM implementation
+     * doesn't have to support CSSOM
+     *
+     * @param {Element} node
+     * @param {Object} style Css properties in camelCase
+     * @param {Object} [oldStyle] Style applied before
+     */
+    function setStyle(node, style, oldStyle) {
+        var removed = Object.keys(extend({}, oldStyle, style)).map(toCssProperty),
+            declarations = (node.getAttribute('style') || '').split(';').filter(function (declaration) {
+                var property = declaration.split(':')[0].trim();
+
+                return property && removed.indexOf(property) === -1;
+            }).map(function (declaration) {
+                return declaration.trim();
+            });
+
+        Object.keys(style).forEach(function (key) {
+            declarations.push(toCssProperty(key) + ':' + style[key]);
+        });
+
+        if (declarations.length) {
+            node.setAttribute('style', declarations.join(';'));
+        } else {
+            node.removeAttribute('style');
+        }
+    }
+
+    /**
+     * Merges the look of a label background:
+     * styles of highlight groups in order, then the selection style
+     *
+     * @param {Boolean} selected
+     * @param {Array<String>} groups Highlight groups of a station
+     * @param {Object} [selectionStyle = SELECTION_STYLE]
+     * @param {Object} [groupStyles] Styles by group names.
+     *  Groups without a style look like selection
+     *
+     * @returns {Object} Css properties in camelCase
+     */
+    function getLabelStyle(selected, groups, selectionStyle, groupStyles) {
+        var style = {};
+
+        groupStyles = groupStyles || {};
+        groups.forEach(function (group) {
+            extend(style, groupStyles[group] || SELECTION_STYLE);
+        });
+        if (selected) {
+            extend(style, selectionStyle || SELECTION_STYLE);
+        }
+
+        return style;
+    }
+
+    /**
+     * @param {*} coordinates
+     *
+     * @returns {Boolean} True for [latitude, longitude] in degrees
+     */
+    function isGeoCoordinates(coordinates) {
+        return Array.isArray(coordinates) && coordinates.length === 2 &&
+            coordinates.every(function (value) {
+                return typeof value === 'number' && isFinite(value);
+            }) &&
+            Math.abs(coordinates[0]) <= 90 && Math.abs(coordinates[1]) <= 180;
+    }
+
+    /**
+     * Checks the scheme metadata against the format described in README.
+     * Required: "width", "height", "stations" and "labels",
+     * optional: "links", "transfers" and "lines"
+     *
+     * @param {Object} metadata Parsed content of the <metadata> node
+     *
+     * @returns {Array<String>} Problems, empty for valid metadata
+     */
+    function validateMetaData(metadata) {
+        var problems = [];
+
+        function isNumber(value) {
+            return typeof value === 'number' && isFinite(value);
+        }
+        function isId(value) {
+            return isNumber(value) || (typeof value === 'string' && value !== '');
+        }
+        function checkEntries(field, check) {
+            var entries = metadata[field];
+
+            if (entries === undefined && ['links', 'transfers', 'lines'].indexOf(field) !== -1) {
+                return;
+            }
+            if (!entries || typeof entries !== 'object') {
+                problems.push('Scheme metadata has no "' + field + '"');
+                return;
+            }
+            Object.keys(entries).forEach(function (id) {
+                var entry = entries[id],
+                    problem = entry && typeof entry === 'object' ? check(entry, id) : 'is not an object';
+
+                if (problem) {
+                    problems.push('Scheme metadata "' + field + '.' + id + '" ' + problem);
+                }
+            });
+        }
+        function checkEdge(edge) {
+            if (!isId(edge.fromStationId) || !isId(edge.toStationId)) {
+                return 'has no "fromStationId" or "toStationId"';
+            }
+            if (edge.time !== undefined && !isNumber(edge.time)) {
+                return 'has a wrong "time"';
+            }
+        }
+
+        if (!metadata || typeof metadata !== 'object') {
+            return ['Scheme metadata is not an object'];
+        }
+        ['width', 'height'].forEach(function (field) {
+            if (!isNumber(metadata[field]) || metadata[field] <= 0) {
+                problems.push('Scheme metadata has no "' + field + '"');
+            }
+        });
+        checkEntries('labels', function (label) {
+            if (!Array.isArray(label.stationIds) || !label.stationIds.every(isId)) {
+                return 'has no "stationIds"';
+            }
+        });
+        checkEntries('stations', function (station) {
+            if (!isId(station.labelId)) {
+                return 'has no "labelId"';
+            }
+            if (metadata.labels && !metadata.labels[station.labelId]) {
+                return 'refers to unknown label ' + station.labelId;
+            }
+            if (typeof station.name !== 'string') {
+                return 'has no "name"';
+            }
+            if (station.geo !== undefined && !isGeoCoordinates(station.geo)) {
+                return 'has a wrong "geo"';
+            }
+        });
+        checkEntries('links', function (link) {
+            if (link.lineId !== undefined && !isId(link.lineId)) {
+                return 'has a wrong "lineId"';
+            }
+            return checkEdge(link);
+        });
+        checkEntries('transfers', checkEdge);
+        checkEntries('lines', function (line) {
+            if (typeof line.name !== 'string') {
+                return 'has no "name"';
+            }
+        });
+
+        return problems;
+    }
+
+    /**
+     * Model of a scheme image
+     *
+     * @constructor
+     *
+     * @param {Element} node Root node of a scheme image
+     */
+    function Scheme(node) {
+        this._node = node;
+        this._raisedNodes = {};
+    }
+    Scheme.prototype = {
+        /**
+         * @returns {Element}
+         */
+        getNode: function () {
+            return this._node;
+        },
+        /**
+         * Parses the metadata once and removes its node from the image.
+         * The JSON is as large as the drawing itself, so it is not kept in the DOM
+         * and doesn't get into rendered and exported images
+         *
+         * @returns {Object}
+         */
+        getMetaData: function () {
+            var metadataNode;
+
+            if (!this._metadata) {
+                metadataNode = this._node.getElementsByTagName('metadata')[0];
+                if (!metadataNode) {
+                    throw new Error('Scheme has no metadata');
+                }
+                this._metadata = JSON.parse(metadataNode.firstChild.data);
+
+                metadataNode.parentNode.removeChild(metadataNode);
+            }
+
+            return this._metadata;
+        },
+        /**
+         * Finds a node of the image.
+         * Not every DOM implementation has "getElementById" on svg nodes,
+         * and detached nodes can't be found through the document
+         *
+         * @param {String} id
+         *
+         * @returns {Element|null}
+         */
+        getNodeById: function (id) {
+            var nodes, i;
+
+            if (typeof this._node.getElementById === 'function') {
+                return this._node.getElementById(id);
+            }
+            nodes = this._node.getElementsByTagName('*');
+            for (i = 0; i < nodes.length; i++) {
+                if (nodes[i].getAttribute('id') === id) {
+                    return nodes[i];
+                }
+            }
+
+            return null;
+        },
+        /**
+         * @param {Number} code Station code
+         *
+         * @returns {Element}
+         */
+        getLabelNode: function (code) {
+            return this.getNodeById('label-' + code);
+        },
+        /**
+         * @param {Number} code Station code
+         *
+         * @returns {Element} Background of the label, that is styled on selection
+         */
+        getLabelBackground: function (code) {
+            return this.getLabelNode(code).getElementsByTagName('rect')[0];
+        },
+        /**
+         * Nodes of all platforms of a station
+         *
+         * @param {Number} code Station code
+         *
+         * @returns {Array<Element>}
+         */
+        getStationNodes: function (code) {
+            return this.getMetaData().labels[code].stationIds.map(function (id) {
+                return this.getNodeById('station-' + id);
+            }, this);
+        },
+        /**
+         * Raises the label and platforms of a station
+         *
+         * @param {Number} code Station code
+         */
+        liftStation: function (code) {
+            this.getStationNodes(code).forEach(function (node) {
+                this.raise(node, 'stations');
+            }, this);
+            this.raise(this.getLabelNode(code), 'labels');
+        },
+        /**
+         * Lowers nodes raised by "liftStation"
+         *
+         * @param {Number} code Station code
+         */
+        dropStation: function (code) {
+            this.getStationNodes(code).forEach(function (node) {
+                this.lower(node);
+            }, this);
+            this.lower(this.getLabelNode(code));
+        },
+        /**
+         * Moves a node into the "highlight-layer-%layer%" group,
+         * so it is not affected by shading.
+         * A node can be raised several times (e.g. by a selection and by a route),
+         * it returns back only after the last "lower".
+         * A placeholder keeps the original position of the node
+         *
+         * @param {Element} node Node with an id
+         * @param {String} layer 'stations', 'labels', 'links' or 'transfers'
+         */
+        raise: function (node, layer) {
+            var id = node.getAttribute('id'),
+                raised = this._raisedNodes[id];
+
+            if (!raised) {
+                raised = this._raisedNodes[id] = {
+                    count: 0,
+                    placeholder: node.ownerDocument.createComment(id)
+                };
+                node.parentNode.replaceChild(raised.placeholder, node);
+                this._getHighlightLayer(layer).appendChild(node);
+            }
+            raised.count++;
+        },
+        /**
+         * Returns a raised node back to its original parent and position
+         *
+         * @param {Element} node
+         */
+        lower: function (node) {
+            var id = node.getAttribute('id'),
+                raised = this._raisedNodes[id];
+
+            if (raised && !--raised.count) {
+                raised.placeholder.parentNode.replaceChild(node, raised.placeholder);
+                delete this._raisedNodes[id];
+            }
+        },
+        /**
+         * Not every scheme has highlight groups for links and transfers,
+         * so missing groups are created under the stations
+         */
+        _getHighlightLayer: function (layer) {
+            var id = 'highlight-layer-' + layer,
+                layerNode = this.getNodeById(id),
+                stationsNode;
+
+            if (!layerNode) {
+                stationsNode = this.getNodeById('highlight-layer-stations');
+                layerNode = this._node.ownerDocument.createElementNS(this._node.namespaceURI, 'g');
+                layerNode.setAttribute('id', id);
+                stationsNode.parentNode.insertBefore(layerNode, stationsNode);
+            }
+
+            return layerNode;
+        },
+        /**
+         * @returns {Element} Layer, that is faded by shading. Raised nodes are above it
+         */
+        getShadeNode: function () {
+            return this.getNodeById('scheme-layer');
+        },
+        /**
+         * @param {Object} [style = SHADE_STYLE] Css of the shaded layer
+         */
+        shade: function (style) {
+            var oldStyle = this._shadeStyle;
+
+            this._shadeStyle = extend({}, style || SHADE_STYLE);
+            setStyle(this.getShadeNode(), this._shadeStyle, oldStyle);
+        },
+        unshade: function () {
+            setStyle(this.getShadeNode(), {}, this._shadeStyle);
+            this._shadeStyle = {};
+        }
+    };
+
+    /**
+     * Renders a scheme with a state into a standalone svg
+     *
+     * @param {String|Document|Element} svg Scheme image, e.g. a file from "metro-data"
+     * @param {Object} [state]
+     * @param {Array<Number>} [state.selection] Codes of selected stations
+     * @param {Boolean} [state.shaded = false]
+     * @param {Object} [state.groups] Station codes by highlight group names
+     * @param {Object} [options]
+     * @param {Function} [options.DOMParser = DOMParser] Is used to parse a string
+     * @param {Function} [options.XMLSerializer = XMLSerializer]
+     * @param {Object} [options.shadeStyle = SHADE_STYLE]
+     * @param {Object} [options.selectionStyle = SELECTION_STYLE]
+     * @param {Object} [options.groupStyles] Styles of highlight groups by names
+     *
+     * @returns {String}
+     * @throws {Error} Broken scheme or an unknown station code
+     */
+    function render(svg, state, options) {
+        var Parser, Serializer, scheme, labels, looks = {};
+
+        state = extend({selection: [], shaded: false, groups: {}}, state);
+        options = options || {};
+        Parser = options.DOMParser || DOMParser;
+        Serializer = options.XMLSerializer || XMLSerializer;
+
+        if (typeof svg === 'string') {
+            svg = new Parser().parseFromString(svg, 'image/svg+xml');
+        }
+        if (svg.documentElement) {
+            svg = svg.documentElement;
+        }
+        scheme = new Scheme(svg);
+        labels = scheme.getMetaData().labels;
+
+        function getLook(code) {
+            if (!labels[code]) {
+                throw new Error('Unknown station code ' + code);
+            }
+            return looks[code] = looks[code] || {selected: false, groups: []};
+        }
+        [].concat(state.selection).forEach(function (code) {
+            getLook(code).selected = true;
+        });
+        Object.keys(state.groups).forEach(function (group) {
+            [].concat(state.groups[group]).forEach(function (code) {
+                getLook(code).groups.push(group);
+            });
+        });
+
+        Object.keys(looks).forEach(function (code) {
+            var look = looks[code];
+
+            scheme.liftStation(code);
+            setStyle(
+                scheme.getLabelBackground(code),
+                getLabelStyle(look.selected, look.groups, options.selectionStyle, options.groupStyles)
+            );
+        });
+        if (state.shaded) {
+            scheme.shade(options.shadeStyle);
+        }
+
+        return new Serializer().serializeToString(svg);
+    }
+
+    return {
+        Scheme: Scheme,
+        render: render,
+        setStyle: setStyle,
+        getLabelStyle: getLabelStyle,
+        validateMetaData: validateMetaData,
+        isGeoCoordinates: isGeoCoordinates,
+        SHADE_STYLE: SHADE_STYLE,
+        SELECTION_STYLE: SELECTION_STYLE
+    };
+}));
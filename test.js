@@ -1,4 +1,4 @@
-/* global chai, ymaps, mocha, describe, it, mochaPhantomJS */
+/* global chai, ymaps, mocha, describe, it, mochaPhantomJS, transportMapScheme */
 ymaps.ready(function () {
     var expect = chai.expect,
         mapContainer = document.createElement('div');
@@ -168,6 +168,38 @@ ymaps.ready(function () {
                 transportMap.destroy();
             });
         });
+        it('should render a static scheme', function () {
+            return ymaps.createTransportMap('moscow', mapContainer, {
+                center: [0.1, 0],
+                zoom: 1,
+                shaded: true,
+                selection: [1]
+            }, {
+                static: true,
+                keyboard: true
+            }).then(function (transportMap) {
+                var map = transportMap.getMap();
+
+                expect(map.behaviors.isEnabled('drag')).to.be.false;
+                expect(map.behaviors.isEnabled('scrollZoom')).to.be.false;
+                expect(map.geoObjects.getLength()).to.equal(0);
+                expect(mapContainer.hasAttribute('tabindex')).to.be.false;
+                expect(transportMap.getZoom()).to.equal(1);
+                expect(transportMap.stations.getSelection()).to.deep.equal([1]);
+                transportMap.destroy();
+            });
+        });
+        it('should accept behaviors option', function () {
+            return ymaps.createTransportMap('moscow', mapContainer, {}, {
+                behaviors: ['drag']
+            }).then(function (transportMap) {
+                var map = transportMap.getMap();
+
+                expect(map.behaviors.isEnabled('drag')).to.be.true;
+                expect(map.behaviors.isEnabled('scrollZoom')).to.be.false;
+                transportMap.destroy();
+            });
+        });
     });
 
     describe('TransportMap instance', function () {
@@ -229,133 +261,1965 @@ ymaps.ready(function () {
 
     });
 
-    describe('StationCollection instance', function () {
-        it('should implement "search"', function (done) {
-            ymaps.createTransportMap('kiev', mapContainer, {
+    describe('TransportMap styles', function () {
+        it('should apply shade style', function () {
+            return ymaps.createTransportMap('moscow', mapContainer, {shaded: true}, {
+                shadeStyle: {opacity: 0.2}
             }).then(function (transportMap) {
-                expect(transportMap.stations).respondTo('search');
-                transportMap.stations.search('пло').then(function (stations) {
-                    expect(stations).to.be.an('array');
-                    expect(stations.length).to.equal(2);
+                var layerNode = mapContainer.querySelector('#scheme-layer');
 
-                    transportMap.destroy();
-                    done();
-                });
+                expect(Number(layerNode.style.opacity)).to.equal(0.2);
+                transportMap.setShadeStyle({opacity: 0.3});
+                expect(Number(layerNode.style.opacity)).to.equal(0.3);
+                transportMap.unshade();
+                expect(layerNode.style.opacity).to.equal('');
+
+                transportMap.destroy();
             });
         });
-        it('should have an EventManager', function () {
-            return ymaps.createTransportMap('moscow', mapContainer, {
-            }).then(function (transportMap) {
-                expect(transportMap.stations).to.have.a.property('events');
-                expect(transportMap.stations.events).to.be.instanceOf(ymaps.event.Manager);
+        it('should resolve animated shade after the animation', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                var layerNode = mapContainer.querySelector('#scheme-layer'),
+                    start = Date.now();
 
-                transportMap.destroy();
+                return transportMap.shade({animate: 100}).then(function () {
+                    expect(Date.now() - start).to.be.at.least(90);
+                    expect(Number(layerNode.style.opacity)).to.equal(0.5);
+                    expect(layerNode.style.transition || '').to.equal('');
+
+                    return transportMap.unshade();
+                }).then(function () {
+                    expect(layerNode.style.opacity).to.equal('');
+
+                    transportMap.destroy();
+                });
             });
         });
-        it('should fire "selectionchange" event on select', function (done) {
-            ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
-                transportMap.stations.events.add('selectionchange', function (e) {
-                    expect(e.get('type')).to.equal('select');
+        it('should resolve animated selection after the animation', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                return transportMap.stations.select([1, 2], {animate: true}).then(function () {
+                    expect(transportMap.stations.getByCode(1).getLabelNode()
+                        .getElementsByTagName('rect')[0].style.opacity).to.equal('1');
 
                     transportMap.destroy();
-                    done();
                 });
-                transportMap.stations.select([1]);
-            }).done();
+            });
         });
-        it('should fire "selectionchange" event on deselect', function (done) {
-            ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
-                transportMap.stations.select([4]);
-                transportMap.stations.events.add('selectionchange', function (e) {
-                    expect(e.get('type')).to.equal('deselect');
+        it('should animate selection of a label', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                var background = transportMap.stations.getByCode(1).getLabelNode().getElementsByTagName('rect')[0],
+                    selection = transportMap.stations.select([1], {animate: 400});
+
+                return ymaps.vow.delay(null, 200).then(function () {
+                    var opacity = Number(window.getComputedStyle(background).opacity);
+
+                    expect(opacity).to.be.above(0);
+                    expect(opacity).to.be.below(1);
+
+                    return selection;
+                }).then(function () {
+                    expect(Number(window.getComputedStyle(background).opacity)).to.equal(1);
 
                     transportMap.destroy();
-                    done();
                 });
-                transportMap.stations.deselect([4]);
-            }).done();
+            });
         });
-        it('should implement getSelection', function () {
-            var initialSelection = randomUniqueDecimals(1, 10, 1, 10);
+        it('should apply selection style per station', function () {
+            return ymaps.createTransportMap('moscow', mapContainer, {selection: [1, 2]}, {
+                selectionStyle: {stroke: 'red'}
+            }).then(function (transportMap) {
+                var station = transportMap.stations.getByCode(2);
+
+                station.setSelectionStyle({stroke: 'blue'});
+                expect(station.getLabelNode().getElementsByTagName('rect')[0].style.stroke).to.equal('blue');
+                expect(transportMap.stations.getByCode(1).getLabelNode()
+                    .getElementsByTagName('rect')[0].style.stroke).to.equal('red');
+
+                transportMap.destroy();
+            });
+        });
+    });
+
+    describe('TransportMap keyboard navigation', function () {
+        function press(keyCode) {
+            var e = document.createEvent('Event');
+
+            e.initEvent('keydown', true, true);
+            e.keyCode = keyCode;
+            mapContainer.dispatchEvent(e);
+        }
+
+        it('should make the container a focusable listbox', function () {
+            return ymaps.createTransportMap('moscow', mapContainer, {}, {keyboard: true}).then(function (transportMap) {
+                var station = transportMap.stations.getByCode(1);
+
+                expect(mapContainer.getAttribute('tabindex')).to.equal('0');
+                expect(mapContainer.getAttribute('role')).to.equal('listbox');
+                expect(station.getLabelNode().getAttribute('aria-label')).to.equal(station.title);
+
+                transportMap.destroy();
+                expect(mapContainer.getAttribute('role')).to.be.null;
+            });
+        });
+        it('should focus and select stations with keys', function () {
+            return ymaps.createTransportMap('moscow', mapContainer, {}, {keyboard: true}).then(function (transportMap) {
+                var focusedId, code;
+
+                press(39);
+                focusedId = mapContainer.getAttribute('aria-activedescendant');
+                expect(focusedId).to.match(/^label-\d+$/);
+
+                code = Number(focusedId.replace('label-', ''));
+                press(13);
+                expect(transportMap.stations.getSelection()).to.deep.equal([code]);
+                expect(mapContainer.querySelector('#' + focusedId).getAttribute('aria-selected')).to.equal('true');
+                expect(mapContainer.querySelector('.transport-map-a11y').textContent)
+                    .to.contain(transportMap.stations.getByCode(code).title);
+
+                press(27);
+                expect(mapContainer.getAttribute('aria-activedescendant')).to.be.null;
+
+                transportMap.destroy();
+            });
+        });
+        it('should not be enabled by default', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                expect(mapContainer.getAttribute('tabindex')).to.be.null;
+
+                transportMap.destroy();
+            });
+        });
+    });
+
+    describe('TransportMap state', function () {
+        it('should implement getState', function () {
+            var initialState = {
+                center: [0.1, 0.1],
+                zoom: 2,
+                shaded: true,
+                selection: [1, 2]
+            };
+
+            return ymaps.createTransportMap('moscow', mapContainer, initialState).then(function (transportMap) {
+                var state = transportMap.getState();
+
+                expect(state.center).to.deep.equal(initialState.center);
+                expect(state.zoom).to.equal(initialState.zoom);
+                expect(state.shaded).to.equal(true);
+                expect(state.selection).to.equalAsSets(initialState.selection);
 
+                transportMap.destroy();
+            });
+        });
+        it('should implement setState', function () {
             return ymaps.createTransportMap('moscow', mapContainer, {
-                selection: initialSelection
+                selection: [1, 2]
             }).then(function (transportMap) {
-                expect(transportMap.stations).to.respondTo('getSelection');
-                expect(transportMap.stations.getSelection()).to.equalAsSets(initialSelection);
+                expect(transportMap.setState({
+                    shaded: true,
+                    selection: [2, 3]
+                })).to.be.an.instanceof(ymaps.vow.Promise);
+
+                expect(transportMap.getState().shaded).to.equal(true);
+                expect(transportMap.stations.getSelection()).to.equalAsSets([2, 3]);
 
                 transportMap.destroy();
             });
         });
-        it('should implement select', function () {
-            return ymaps.createTransportMap('kharkov', mapContainer, {
+        it('should ignore unknown codes in setState', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                transportMap.setState({selection: [1, -1]});
+                expect(transportMap.stations.getSelection()).to.equalAsSets([1]);
+
+                transportMap.destroy();
+            });
+        });
+        it('should restore state from location.hash', function () {
+            location.hash = '#center=0.1,0.1&zoom=2&selection=4,5&shaded=1';
+
+            return ymaps.createTransportMap('moscow', mapContainer, {}, {
+                hash: true
             }).then(function (transportMap) {
-                var selection = randomUniqueDecimals(1, 10, 1, 20);
+                var state = transportMap.getState();
 
-                expect(transportMap.stations).to.respondTo('select');
-                transportMap.stations.select(selection);
-                expect(transportMap.stations.getSelection()).to.equalAsSets(selection);
+                expect(state.center).to.deep.equal([0.1, 0.1]);
+                expect(state.zoom).to.equal(2);
+                expect(state.shaded).to.equal(true);
+                expect(state.selection).to.equalAsSets([4, 5]);
 
                 transportMap.destroy();
+                location.hash = '';
             });
         });
-        it('should implement deselect', function () {
-            var deselection = randomUniqueDecimals(1, 4, 1, 10);
+        it('should write state into location.hash', function () {
+            location.hash = '#foo=bar';
 
-            return ymaps.createTransportMap('moscow', mapContainer, {
-                selection: randomUniqueDecimals(1, 10, 1, 10)
+            return ymaps.createTransportMap('moscow', mapContainer, {}, {
+                hash: true
             }).then(function (transportMap) {
-                expect(transportMap.stations).to.respondTo('deselect');
+                transportMap.stations.select(7);
 
-                transportMap.stations.deselect(deselection);
-                expect(transportMap.stations.getSelection()).to.not.have.members(deselection);
+                expect(location.hash).to.contain('foo=bar');
+                expect(location.hash).to.contain('selection=7');
 
                 transportMap.destroy();
+                location.hash = '';
             });
         });
-        it('should implement "each"', function () {
-            var initialSelection = randomUniqueDecimals(1, 10, 1, 10);
-
-            return ymaps.createTransportMap('moscow', mapContainer, {
-                selection: initialSelection
+        it('should not overwrite location.hash while applying it', function () {
+            return ymaps.createTransportMap('moscow', mapContainer, {}, {
+                hash: true
             }).then(function (transportMap) {
-                expect(transportMap.stations).to.respondTo('each');
+                var deferred = new ymaps.vow.Deferred(),
+                    hashes = [];
 
-                transportMap.stations.each(function (station) {
-                    expect(station).to.be.an('object');
+                transportMap.events.add('selectionchange', function () {
+                    hashes.push(location.hash);
+                });
+                window.addEventListener('hashchange', function onHashChange() {
+                    window.removeEventListener('hashchange', onHashChange);
+                    setTimeout(deferred.resolve.bind(deferred), 0);
+                });
+                location.hash = '#center=0.2,0.2&selection=3';
+
+                return deferred.promise().then(function () {
+                    expect(hashes).to.have.length(1);
+                    expect(hashes[0]).to.contain('center=0.2,0.2');
+                    expect(transportMap.getState().center).to.deep.equal([0.2, 0.2]);
+                    expect(location.hash).to.contain('center=0.2,0.2');
+
+                    transportMap.destroy();
+                    location.hash = '';
                 });
+            });
+        });
+    });
+
+    describe('City registry', function () {
+        var cities = ymaps.transportMap.cities;
+
+        it('should list built-in cities', function () {
+            var aliases = cities.list().map(function (city) {
+                return city.alias;
+            });
+
+            expect(aliases).to.include.members(['moscow', 'spb', 'kiev', 'kharkov', 'minsk']);
+        });
+        it('should implement get', function () {
+            var city = cities.get('moscow');
+
+            expect(city.schemeId).to.equal(1);
+            expect(city.languages).to.be.an('array');
+            expect(cities.get('atlantis')).to.equal(undefined);
+        });
+        it('should return copies', function () {
+            cities.get('moscow').languages.push('xx');
+            expect(cities.get('moscow').languages).to.not.include('xx');
+        });
+        it('should throw on registration without schemeId', function () {
+            expect(function () {
+                cities.register('atlantis', {});
+            }).to.throw(Error);
+        });
+        it('should create a map for a registered city', function () {
+            var requests = [];
+
+            cities.register('minsk-copy', {schemeId: 13, languages: ['ru']});
+
+            return ymaps.createTransportMap('minsk-copy', mapContainer, {}, {
+                loader: function (request) {
+                    requests.push(request);
+                    return ymaps.transportMap.loaders.xhr(request);
+                }
+            }).then(function (transportMap) {
+                expect(transportMap.getSchemeId()).to.equal(13);
+                expect(transportMap.getCity()).to.equal('minsk-copy');
+                expect(requests[0].city).to.equal('minsk-copy');
 
                 transportMap.destroy();
             });
         });
-        it('should implement "getIterator"', function () {
-            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
-                expect(transportMap.stations).to.respondTo('getIterator');
+        it('should prefer a path of the city', function () {
+            var requests = [];
+
+            cities.register('custom', {schemeId: 1, path: 'custom-schemes/'});
+
+            return ymaps.createTransportMap('custom', mapContainer, {}, {
+                loader: function (request) {
+                    requests.push(request);
+                    return ymaps.vow.reject(new Error('offline'));
+                }
+            }).fail(function () {
+                expect(requests[0].path).to.equal('custom-schemes/');
+            });
+        });
+    });
+
+    describe('Scheme loader', function () {
+        it('should expose default loader', function () {
+            ymaps.should.have.property('transportMap');
+            ymaps.transportMap.loaders.xhr.should.be.a('function');
+        });
+        it('should accept custom loader', function () {
+            var requests = [];
+
+            return ymaps.createTransportMap('minsk', mapContainer, {}, {
+                loader: function (request) {
+                    requests.push(request);
+                    return ymaps.transportMap.loaders.xhr(request);
+                },
+                cache: false
+            }).then(function (transportMap) {
+                expect(requests.length).to.equal(1);
+                expect(requests[0].schemeId).to.equal(transportMap.getSchemeId());
+                expect(requests[0].lang).to.equal('ru');
 
                 transportMap.destroy();
             });
         });
-        it('should implement "filter"', function () {
-            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
-                expect(transportMap.stations).to.respondTo('filter');
+        it('should accept svg string and element from loader', function () {
+            return ymaps.transportMap.loaders.xhr({
+                path: 'node_modules/metro-data/',
+                schemeId: 13,
+                lang: 'ru'
+            }).then(function (svg) {
+                return ymaps.vow.all([
+                    ymaps.createTransportMap('minsk', mapContainer, {}, {
+                        loader: function () {
+                            return svg;
+                        },
+                        cache: false
+                    }),
+                    ymaps.createTransportMap('minsk', mapContainer, {}, {
+                        loader: function () {
+                            return new DOMParser().parseFromString(svg, 'text/xml').documentElement;
+                        },
+                        cache: false
+                    })
+                ]);
+            }).spread(function (transportMap1, transportMap2) {
+                expect(transportMap1.stations.getLength()).to.equal(transportMap2.stations.getLength());
+
+                transportMap1.destroy();
+                transportMap2.destroy();
+            });
+        });
+        it('should load the same scheme once', function () {
+            var count = 0;
+
+            function loader(request) {
+                count++;
+                return ymaps.transportMap.loaders.xhr(request);
+            }
+
+            return ymaps.vow.all([
+                ymaps.createTransportMap('kiev', mapContainer, {}, {loader: loader}),
+                ymaps.createTransportMap('kiev', mapContainer, {}, {loader: loader})
+            ]).spread(function (transportMap1, transportMap2) {
+                expect(count).to.equal(1);
+                expect(transportMap1.stations.getLength()).to.equal(transportMap2.stations.getLength());
+
+                transportMap1.destroy();
+                transportMap2.destroy();
+            });
+        });
+    });
+
+    describe('Scheme rendering', function () {
+        function loadSvg(city) {
+            return ymaps.transportMap.loaders.xhr({
+                city: city,
+                schemeId: ymaps.transportMap.cities.get(city).schemeId,
+                lang: 'ru',
+                path: 'node_modules/metro-data/'
+            });
+        }
+
+        it('should be exposed without ymaps', function () {
+            expect(transportMapScheme.render).to.be.a('function');
+            expect(transportMapScheme.Scheme).to.be.a('function');
+        });
+        it('should check geo coordinates', function () {
+            expect(transportMapScheme.isGeoCoordinates([55.75, 37.60])).to.be.true;
+            expect(transportMapScheme.isGeoCoordinates([-90, 180])).to.be.true;
+            expect(transportMapScheme.isGeoCoordinates([0, 200])).to.be.false;
+            expect(transportMapScheme.isGeoCoordinates(['55.75', '37.60'])).to.be.false;
+            expect(transportMapScheme.isGeoCoordinates([null, 0])).to.be.false;
+            expect(transportMapScheme.isGeoCoordinates([55.75])).to.be.false;
+        });
+        it('should accept links without "lineId"', function () {
+            var metadata = {
+                width: 100,
+                height: 100,
+                stations: {1: {labelId: 1, name: 'A'}},
+                labels: {1: {stationIds: [1, 2]}},
+                links: {1: {fromStationId: 1, toStationId: 2}}
+            };
+
+            expect(transportMapScheme.validateMetaData(metadata)).to.deep.equal([]);
+
+            metadata.links[1].lineId = {};
+            expect(transportMapScheme.validateMetaData(metadata)).to.deep.equal([
+                'Scheme metadata "links.1" has a wrong "lineId"'
+            ]);
+        });
+        it('should render selection and shade', function () {
+            return loadSvg('moscow').then(function (svg) {
+                var node = new DOMParser().parseFromString(transportMapScheme.render(svg, {
+                        selection: [1, 2],
+                        shaded: true
+                    }), 'image/svg+xml').documentElement,
+                    scheme = new transportMapScheme.Scheme(node);
+
+                expect(scheme.getShadeNode().getAttribute('style')).to.contain('opacity:0.5');
+                [1, 2].forEach(function (code) {
+                    expect(scheme.getLabelNode(code).parentNode.getAttribute('id')).to.equal('highlight-layer-labels');
+                    expect(scheme.getLabelBackground(code).getAttribute('style')).to.contain('opacity:1');
+                });
+                expect(node.getElementsByTagName('metadata')).to.have.length(0);
+            });
+        });
+        it('should render highlight groups', function () {
+            return loadSvg('moscow').then(function (svg) {
+                var node = new DOMParser().parseFromString(transportMapScheme.render(svg, {
+                        groups: {origin: [3]}
+                    }, {
+                        groupStyles: {origin: {fill: '#8f8'}}
+                    }), 'image/svg+xml').documentElement,
+                    scheme = new transportMapScheme.Scheme(node);
+
+                expect(scheme.getLabelBackground(3).getAttribute('style')).to.contain('fill:#8f8');
+                expect(scheme.getLabelNode(3).parentNode.getAttribute('id')).to.equal('highlight-layer-labels');
+            });
+        });
+        it('should throw on unknown station code', function () {
+            return loadSvg('moscow').then(function (svg) {
+                expect(function () {
+                    transportMapScheme.render(svg, {selection: [-1]});
+                }).to.throw(Error);
+            });
+        });
+    });
+
+    describe('Scheme loading errors', function () {
+        var errors = ymaps.transportMap.errors;
+
+        function expectRejection(promise, ErrorClass) {
+            return promise.then(function () {
+                throw new Error('Promise should be rejected');
+            }, function (e) {
+                expect(e).to.be.an.instanceof(ErrorClass);
+                expect(e).to.be.an.instanceof(errors.TransportMapError);
+                expect(e).to.be.an.instanceof(Error);
+            });
+        }
+
+        it('should reject unknown city', function () {
+            return expectRejection(
+                ymaps.createTransportMap('atlantis', mapContainer),
+                errors.UnknownCityError
+            );
+        });
+        it('should reject unsupported language', function () {
+            return expectRejection(
+                ymaps.createTransportMap('moscow', mapContainer, {}, {lang: 'de'}),
+                errors.UnsupportedLanguageError
+            );
+        });
+        it('should reject on HTTP error status', function () {
+            return expectRejection(
+                ymaps.createTransportMap('moscow', mapContainer, {}, {path: 'nowhere/', cache: false}),
+                errors.HttpError
+            );
+        });
+        it('should reject malformed svg', function () {
+            return expectRejection(
+                ymaps.createTransportMap('moscow', mapContainer, {}, {
+                    loader: function () {
+                        return '<svg';
+                    }
+                }),
+                errors.SchemeParseError
+            );
+        });
+        it('should reject svg without metadata', function () {
+            return expectRejection(
+                ymaps.createTransportMap('moscow', mapContainer, {}, {
+                    loader: function () {
+                        return '<svg xmlns="http://www.w3.org/2000/svg"></svg>';
+                    }
+                }),
+                errors.MetadataError
+            );
+        });
+        it('should reject metadata of a wrong format', function () {
+            var metadata = {width: 100, height: 100, stations: {1: {labelId: 2, name: 'A'}}, labels: {1: {stationIds: [1]}}};
+
+            return ymaps.createTransportMap('moscow', mapContainer, {}, {
+                loader: function () {
+                    return '<svg xmlns="http://www.w3.org/2000/svg"><metadata>' +
+                        JSON.stringify(metadata) + '</metadata></svg>';
+                },
+                cache: false
+            }).then(function () {
+                throw new Error('Promise should be rejected');
+            }, function (e) {
+                expect(e).to.be.an.instanceof(errors.MetadataError);
+                expect(e.problems).to.deep.equal(['Scheme metadata "stations.1" refers to unknown label 2']);
+            });
+        });
+        it('should reject on loader failure', function () {
+            return expectRejection(
+                ymaps.createTransportMap('moscow', mapContainer, {}, {
+                    loader: function () {
+                        throw new Error('offline');
+                    }
+                }),
+                errors.NetworkError
+            );
+        });
+        it('should reject on timeout', function () {
+            return expectRejection(
+                ymaps.createTransportMap('moscow', mapContainer, {}, {
+                    loader: function () {
+                        return new ymaps.vow.Deferred().promise();
+                    },
+                    timeout: 10
+                }),
+                errors.TimeoutError
+            );
+        });
+        it('should abort the loader on timeout', function () {
+            var aborted;
+
+            return ymaps.createTransportMap('moscow', mapContainer, {}, {
+                loader: function (request) {
+                    aborted = request.aborted;
+
+                    return new ymaps.vow.Deferred().promise();
+                },
+                timeout: 10,
+                cache: false
+            }).then(function () {
+                throw new Error('Promise should be rejected');
+            }, function (e) {
+                expect(e).to.be.an.instanceof(errors.TimeoutError);
+
+                return aborted;
+            });
+        });
+        it('should retry failed loading', function () {
+            var attempts = 0;
+
+            return ymaps.createTransportMap('moscow', mapContainer, {}, {
+                loader: function (request) {
+                    if (!attempts++) {
+                        throw new Error('offline');
+                    }
+                    return ymaps.transportMap.loaders.xhr(request);
+                },
+                retries: 1
+            }).then(function (transportMap) {
+                expect(attempts).to.equal(2);
 
                 transportMap.destroy();
             });
         });
     });
 
-    describe('Station instance', function () {
-        it('should have "code" property', function () {
-            var initialSelection = randomUniqueDecimals(1, 10, 1, 10);
+    describe('TransportMap scheme switching', function () {
+        it('should implement setCity', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                var map = transportMap.getMap();
+
+                return transportMap.setCity('spb').then(function (result) {
+                    expect(result).to.equal(transportMap);
+                    expect(transportMap.getCity()).to.equal('spb');
+                    expect(transportMap.getMap()).to.equal(map);
+
+                    transportMap.destroy();
+                });
+            });
+        });
+        it('should implement setLanguage', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                return transportMap.setLanguage('en').then(function () {
+                    expect(transportMap.getLanguage()).to.equal('en');
 
+                    transportMap.destroy();
+                });
+            });
+        });
+        it('should carry over selection', function () {
             return ymaps.createTransportMap('moscow', mapContainer, {
-                selection: initialSelection
+                selection: [1, 2]
             }).then(function (transportMap) {
-                transportMap.stations.each(function (station) {
-                    expect(station).to.have.property('code');
+                return transportMap.setLanguage('en').then(function () {
+                    expect(transportMap.stations.getSelection()).to.equalAsSets([1, 2]);
+
+                    transportMap.destroy();
+                });
+            });
+        });
+        it('should fire "schemechange"', function (done) {
+            ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                transportMap.events.add('schemechange', function (e) {
+                    expect(e.get('oldCity')).to.equal('moscow');
+                    expect(e.get('newCity')).to.equal('minsk');
+
+                    transportMap.destroy();
+                    done();
                 });
+                transportMap.setCity('minsk').done();
+            }).done();
+        });
+        it('should detach events of the old scheme', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                var oldStations = transportMap.stations,
+                    oldLines = transportMap.lines;
 
-                transportMap.destroy();
+                return transportMap.setCity('minsk').then(function () {
+                    var fired = 0;
+
+                    transportMap.events.add('selectionchange', function () {
+                        fired++;
+                    });
+                    oldStations.events.fire('selectionchange', {});
+                    oldLines.events.fire('selectionchange', {});
+                    expect(fired).to.equal(0);
+
+                    transportMap.destroy();
+                });
+            });
+        });
+        it('should reject unsupported language', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                return transportMap.setLanguage('de').then(function () {
+                    throw new Error('setLanguage should be rejected');
+                }, function (e) {
+                    expect(e).to.be.an.instanceof(ymaps.transportMap.errors.UnsupportedLanguageError);
+                    expect(e.lang).to.equal('de');
+                    expect(transportMap.getLanguage()).to.equal('ru');
+
+                    transportMap.destroy();
+                });
+            });
+        });
+        it('should reject unknown city', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                return transportMap.setCity('atlantis').then(function () {
+                    throw new Error('setCity should be rejected');
+                }, function (e) {
+                    expect(e).to.be.an.instanceof(Error);
+                    expect(transportMap.getCity()).to.equal('moscow');
+
+                    transportMap.destroy();
+                });
+            });
+        });
+    });
+
+    describe('TransportMap focusOn', function () {
+        it('should implement focusOn', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                expect(transportMap).to.respondTo('focusOn');
+                expect(transportMap.focusOn([1, 2])).to.be.an.instanceof(ymaps.vow.Promise);
+
+                transportMap.destroy();
+            });
+        });
+        it('should center the map on a station', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                var station = transportMap.stations.getByCode(10),
+                    center = station.getCenter();
+
+                return transportMap.focusOn(10).then(function () {
+                    expect(transportMap.getCenter()[0]).to.be.closeTo(center[0], 1e-3);
+                    expect(transportMap.getCenter()[1]).to.be.closeTo(center[1], 1e-3);
+
+                    transportMap.destroy();
+                });
+            });
+        });
+        it('should focus on the selection by default', function () {
+            return ymaps.createTransportMap('moscow', mapContainer, {
+                selection: [1, 2, 3]
+            }).then(function (transportMap) {
+                return transportMap.focusOn(undefined, {margin: 0}).then(function () {
+                    var bounds = transportMap.getMap().getBounds();
+
+                    [1, 2, 3].forEach(function (code) {
+                        var center = transportMap.stations.getByCode(code).getCenter();
+
+                        expect(center[0]).to.be.within(Math.min(bounds[0][0], bounds[1][0]), Math.max(bounds[0][0], bounds[1][0]));
+                        expect(center[1]).to.be.within(Math.min(bounds[0][1], bounds[1][1]), Math.max(bounds[0][1], bounds[1][1]));
+                    });
+
+                    transportMap.destroy();
+                });
+            });
+        });
+        it('should reject unknown station code', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                return transportMap.focusOn([1, -1]).then(function () {
+                    throw new Error('focusOn should be rejected');
+                }, function (e) {
+                    expect(e).to.be.an.instanceof(Error);
+
+                    transportMap.destroy();
+                });
+            });
+        });
+    });
+
+    describe('TransportMap getSchemeData', function () {
+        it('should describe stations, lines and edges', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                var data = transportMap.getSchemeData(),
+                    station = data.stations.filter(function (item) {
+                        return item.code === 1;
+                    })[0];
+
+                expect(data.version).to.equal(1);
+                expect(data.width).to.be.above(0);
+                expect(data.height).to.be.above(0);
+                expect(data.stations).to.have.length(transportMap.stations.getLength());
+                expect(station.name).to.equal(transportMap.stations.getByCode(1).title);
+                expect(station.platforms).to.deep.equal(transportMap.stations.getByCode(1).getPlatforms());
+                expect(station.position[0]).to.be.within(0, data.width);
+                expect(station.position[1]).to.be.within(0, data.height);
+                expect(station.labelBounds).to.have.length(2);
+                data.lines.forEach(function (line) {
+                    expect(line.stations).to.deep.equal(transportMap.lines.getById(line.id).getStationCodes());
+                });
+                data.links.forEach(function (edge) {
+                    expect(edge).to.have.keys(['id', 'fromStationId', 'toStationId', 'time', 'lineId']);
+                    expect(edge.lineId).to.not.equal('undefined');
+                });
+                data.transfers.forEach(function (edge) {
+                    expect(edge).to.have.keys(['id', 'fromStationId', 'toStationId', 'time']);
+                });
+
+                transportMap.destroy();
+            });
+        });
+        it('should return a copy', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                transportMap.getSchemeData().stations[0].platforms.push(-1);
+
+                expect(transportMap.getSchemeData().stations[0].platforms).to.not.include(-1);
+
+                transportMap.destroy();
+            });
+        });
+    });
+
+    describe('TransportMap exportImage', function () {
+        it('should export the viewport as svg', function () {
+            return ymaps.createTransportMap('moscow', mapContainer, {
+                selection: [1]
+            }).then(function (transportMap) {
+                return transportMap.exportImage().then(function (svg) {
+                    var node = new DOMParser().parseFromString(svg, 'image/svg+xml').documentElement;
+
+                    expect(node.tagName).to.equal('svg');
+                    expect(Number(node.getAttribute('width'))).to.equal(mapContainer.clientWidth);
+                    expect(node.getAttribute('viewBox').split(' ')).to.have.length(4);
+
+                    transportMap.destroy();
+                });
+            });
+        });
+        it('should export the full scheme with markers', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                transportMap.stations.getByCode(1).addMarker('<b>1</b>');
+
+                return transportMap.exportImage({area: 'full', scale: 2}).then(function (svg) {
+                    var node = new DOMParser().parseFromString(svg, 'image/svg+xml').documentElement,
+                        viewBox = node.getAttribute('viewBox').split(' ').map(Number);
+
+                    expect(viewBox[0]).to.equal(0);
+                    expect(Number(node.getAttribute('width'))).to.equal(viewBox[2] * 2);
+                    expect(node.getElementsByTagName('foreignObject')).to.have.length(1);
+
+                    transportMap.destroy();
+                });
+            });
+        });
+        it('should export png', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                return transportMap.exportImage({format: 'png', markers: false}).then(function (blob) {
+                    expect(blob).to.be.an.instanceof(Blob);
+                    expect(blob.type).to.equal('image/png');
+
+                    transportMap.destroy();
+                });
+            });
+        });
+    });
+
+    describe('TransportMap routing', function () {
+        it('should implement route', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                expect(transportMap).to.respondTo('route');
+                expect(transportMap.route(1, 2)).to.be.an.instanceof(ymaps.vow.Promise);
+
+                transportMap.destroy();
+            });
+        });
+        it('should start and finish a route at given stations', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                return transportMap.route(1, 10).then(function (route) {
+                    expect(route.stations[0]).to.equal(1);
+                    expect(route.stations[route.stations.length - 1]).to.equal(10);
+                    expect(route.time).to.be.above(0);
+                    expect(route.transfers).to.be.an('array');
+
+                    transportMap.destroy();
+                });
+            });
+        });
+        it('should build an empty route to the same station', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                return transportMap.route(3, 3).then(function (route) {
+                    expect(route.stations).to.deep.equal([3]);
+                    expect(route.time).to.equal(0);
+
+                    transportMap.destroy();
+                });
+            });
+        });
+        it('should reject a route with unknown station', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                return transportMap.route(1, -1).then(function () {
+                    throw new Error('Route should be rejected');
+                }, function (e) {
+                    expect(e).to.be.an.instanceof(Error);
+
+                    transportMap.destroy();
+                });
+            });
+        });
+        it('should fire "routechange" on route', function (done) {
+            ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                transportMap.events.add('routechange', function (e) {
+                    expect(e.get('type')).to.equal('route');
+                    expect(e.get('route')).to.equal(transportMap.getRoute());
+
+                    transportMap.destroy();
+                    done();
+                });
+                transportMap.route(1, 10);
+            }).done();
+        });
+        it('should fire "routechange" on clearRoute', function (done) {
+            ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                transportMap.route(1, 10).then(function () {
+                    transportMap.events.add('routechange', function (e) {
+                        expect(e.get('type')).to.equal('clear');
+                        expect(transportMap.getRoute()).to.equal(null);
+
+                        transportMap.destroy();
+                        done();
+                    });
+                    transportMap.clearRoute();
+                }).done();
+            }).done();
+        });
+        it('should keep route stations selected after clearRoute', function () {
+            return ymaps.createTransportMap('moscow', mapContainer, {
+                selection: [1]
+            }).then(function (transportMap) {
+                return transportMap.route(1, 10).then(function () {
+                    transportMap.clearRoute();
+                    expect(transportMap.stations.getSelection()).to.equalAsSets([1]);
+
+                    transportMap.destroy();
+                });
+            });
+        });
+    });
+
+    describe('Station statuses', function () {
+        function createLoopMap() {
+            // line 1: 1-2-3, line 2: 4-5-6-7, changes at labels 2 (platforms 2, 5) and 3 (platforms 3, 7)
+            var metadata = {
+                    width: 100,
+                    height: 100,
+                    stations: {
+                        1: {labelId: 1, name: 'A'}, 2: {labelId: 2, name: 'B'}, 3: {labelId: 3, name: 'C'},
+                        4: {labelId: 4, name: 'D'}, 6: {labelId: 6, name: 'E'}
+                    },
+                    labels: {
+                        1: {stationIds: [1]}, 2: {stationIds: [2, 5]}, 3: {stationIds: [3, 7]},
+                        4: {stationIds: [4]}, 6: {stationIds: [6]}
+                    },
+                    links: {
+                        1: {fromStationId: 1, toStationId: 2, lineId: 1},
+                        2: {fromStationId: 2, toStationId: 3, lineId: 1},
+                        3: {fromStationId: 4, toStationId: 5, lineId: 2},
+                        4: {fromStationId: 5, toStationId: 6, lineId: 2},
+                        5: {fromStationId: 6, toStationId: 7, lineId: 2}
+                    },
+                    transfers: {
+                        1: {fromStationId: 2, toStationId: 5},
+                        2: {fromStationId: 3, toStationId: 7}
+                    }
+                },
+                svg = '<svg xmlns="http://www.w3.org/2000/svg"><metadata>' + JSON.stringify(metadata) + '</metadata>' +
+                    '<g id="transform-wrapper"><g id="scheme-layer">' +
+                    [1, 2, 3, 4, 5].map(function (id) {
+                        return '<path id="link-' + id + '"/>';
+                    }).join('') +
+                    '<path id="transfer-1"/><path id="transfer-2"/>' +
+                    [1, 2, 3, 4, 5, 6, 7].map(function (id) {
+                        return '<circle id="station-' + id + '" r="2"/>';
+                    }).join('') +
+                    [1, 2, 3, 4, 6].map(function (code) {
+                        return '<g id="label-' + code + '"><rect/><text>' + code + '</text></g>';
+                    }).join('') +
+                    '</g><g id="highlight-layer"><g id="highlight-layer-stations"/><g id="highlight-layer-labels"/></g>' +
+                    '</g></svg>';
+
+            return ymaps.createTransportMap('moscow', mapContainer, {}, {
+                loader: function () {
+                    return svg;
+                },
+                cache: false
+            });
+        }
+
+        it('should set statuses of stations', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                var stations = transportMap.stations,
+                    labelNode = stations.getByCode(1).getLabelNode();
+
+                stations.addStatus('stepFree', [1, 2]);
+                stations.addStatus('closed', 1);
+
+                expect(stations.getStatus('stepFree')).to.deep.equal([1, 2]);
+                expect(stations.getStatuses()).to.equalAsSets(['stepFree', 'closed']);
+                expect(stations.getByCode(1).getStatuses()).to.deep.equal(['stepFree', 'closed']);
+                expect(stations.getByCode(2).hasStatus('closed')).to.be.false;
+                expect(labelNode.getAttribute('class')).to.contain('transport-map-status_closed');
+                expect(labelNode.querySelectorAll('.transport-map-status-badge_stepFree')).to.have.length(1);
+
+                stations.removeStatus('stepFree', 1);
+                stations.clearStatus('closed');
+
+                expect(stations.getStatuses()).to.deep.equal(['stepFree']);
+                expect(labelNode.getAttribute('class')).to.not.contain('transport-map-status_closed');
+                expect(labelNode.querySelectorAll('.transport-map-status-badge')).to.have.length(0);
+
+                transportMap.destroy();
+            });
+        });
+        it('should strike through only the label text of a closed station', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                var labelNode = transportMap.stations.getByCode(1).getLabelNode(),
+                    textNode = labelNode.querySelector('text'),
+                    badgeNode;
+
+                transportMap.stations.addStatus('closed', 1);
+                transportMap.stations.addStatus('stepFree', 1);
+                badgeNode = labelNode.querySelector('.transport-map-status-badge');
+
+                expect(window.getComputedStyle(textNode).getPropertyValue('text-decoration')).to.contain('line-through');
+                expect(window.getComputedStyle(badgeNode).getPropertyValue('text-decoration')).to.not.contain('line-through');
+
+                transportMap.destroy();
+            });
+        });
+        it('should accept station codes as strings', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                var stations = transportMap.stations;
+
+                stations.addStatus('closed', ['1', 1]);
+                expect(stations.getStatus('closed')).to.deep.equal([1]);
+
+                stations.removeStatus('closed', '1');
+                expect(stations.getStatuses()).to.deep.equal([]);
+                expect(stations.getByCode(1).hasStatus('closed')).to.be.false;
+
+                transportMap.destroy();
+            });
+        });
+        it('should fire "statuschange"', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                var events = [];
+
+                transportMap.events.add('statuschange', function (e) {
+                    events.push({
+                        target: e.get('target'),
+                        status: e.get('status'),
+                        added: e.get('added'),
+                        removed: e.get('removed')
+                    });
+                });
+                transportMap.stations.addStatus('closed', [1, 2]);
+                transportMap.stations.addStatus('closed', 1);
+                transportMap.stations.removeStatus('closed', 2);
+                transportMap.lines.addStatus('closed', transportMap.lines.getAll()[0].id);
+
+                expect(events).to.have.length(3);
+                expect(events[0]).to.deep.equal({target: transportMap.stations, status: 'closed', added: [1, 2], removed: []});
+                expect(events[1].removed).to.deep.equal([2]);
+                expect(events[2].target).to.equal(transportMap.lines);
+
+                transportMap.destroy();
+            });
+        });
+        it('should throw on unknown station code', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                expect(function () {
+                    transportMap.stations.addStatus('closed', -1);
+                }).to.throw(Error);
+
+                transportMap.destroy();
+            });
+        });
+        it('should not change at closed stations', function () {
+            return createLoopMap().then(function (transportMap) {
+                return transportMap.route(1, 4).then(function (route) {
+                    expect(route.transfers).to.deep.equal([2]);
+
+                    transportMap.stations.addStatus('closed', 2);
+
+                    return transportMap.route(1, 4);
+                }).then(function (route) {
+                    expect(route.stations).to.deep.equal([1, 2, 3, 6, 2, 4]);
+                    expect(route.transfers).to.deep.equal([3]);
+
+                    transportMap.destroy();
+                });
+            });
+        });
+        it('should reject a route from a closed station', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                transportMap.stations.addStatus('closed', 1);
+
+                return transportMap.route(1, 10).then(function () {
+                    throw new Error('Route should be rejected');
+                }, function (e) {
+                    expect(e).to.be.an.instanceof(Error);
+
+                    return transportMap.route(1, 10, {
+                        excludeFromRoute: function () {
+                            return false;
+                        }
+                    });
+                }).then(function (route) {
+                    expect(route.stations[0]).to.equal(1);
+
+                    transportMap.destroy();
+                });
+            });
+        });
+        it('should not ride closed lines', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                transportMap.lines.addStatus('closed', transportMap.lines.getAll().map(function (line) {
+                    return line.id;
+                }));
+
+                return transportMap.route(1, 10).then(function () {
+                    throw new Error('Route should be rejected');
+                }, function (e) {
+                    expect(e).to.be.an.instanceof(Error);
+
+                    transportMap.destroy();
+                });
+            });
+        });
+        it('should update the route on "statuschange"', function () {
+            return createLoopMap().then(function (transportMap) {
+                var types = [];
+
+                transportMap.events.add('routechange', function (e) {
+                    types.push(e.get('type'));
+                });
+
+                return transportMap.route(1, 4).then(function () {
+                    transportMap.stations.addStatus('closed', 2);
+
+                    return ymaps.vow.delay(null, 10);
+                }).then(function () {
+                    expect(transportMap.getRoute().transfers).to.deep.equal([3]);
+
+                    transportMap.stations.addStatus('closed', 3);
+
+                    return ymaps.vow.delay(null, 10);
+                }).then(function () {
+                    expect(transportMap.getRoute()).to.equal(null);
+                    expect(types).to.deep.equal(['route', 'route', 'clear']);
+
+                    transportMap.destroy();
+                });
+            });
+        });
+        it('should not redraw a route cleared right after a status change', function () {
+            return createLoopMap().then(function (transportMap) {
+                var types = [];
+
+                transportMap.events.add('routechange', function (e) {
+                    types.push(e.get('type'));
+                });
+
+                return transportMap.route(1, 4).then(function () {
+                    transportMap.stations.addStatus('closed', 2);
+                    transportMap.clearRoute();
+
+                    return ymaps.vow.delay(null, 10);
+                }).then(function () {
+                    expect(transportMap.getRoute()).to.equal(null);
+                    expect(types).to.deep.equal(['route', 'route', 'clear']);
+
+                    transportMap.destroy();
+                });
+            });
+        });
+        it('should highlight paths avoiding closed stations', function () {
+            return createLoopMap().then(function (transportMap) {
+                var layerNode = mapContainer.querySelector('#highlight-layer');
+
+                transportMap.stations.addStatus('closed', 2);
+                transportMap.highlightPath([1, 4]);
+                expect(layerNode.querySelector('#transfer-2')).to.not.be.null;
+                expect(layerNode.querySelector('#transfer-1')).to.be.null;
+
+                transportMap.stations.clearStatus('closed');
+                expect(layerNode.querySelector('#transfer-1')).to.not.be.null;
+                expect(layerNode.querySelector('#transfer-2')).to.be.null;
+
+                transportMap.destroy();
+            });
+        });
+    });
+
+    describe('TransportMap path highlighting', function () {
+        it('should implement highlightPath', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                expect(transportMap).to.respondTo('highlightPath');
+                expect(transportMap).to.respondTo('clearHighlight');
+
+                transportMap.destroy();
+            });
+        });
+        it('should raise path stations above the shade', function () {
+            return ymaps.createTransportMap('moscow', mapContainer, {
+                shaded: true
+            }).then(function (transportMap) {
+                transportMap.highlightPath([1, 2, 3]);
+                [1, 2, 3].forEach(function (code) {
+                    var labelNode = transportMap.stations.getByCode(code).getLabelNode();
+
+                    expect(labelNode.parentNode.id).to.equal('highlight-layer-labels');
+                });
+
+                transportMap.destroy();
+            });
+        });
+        it('should restore original position of nodes on clearHighlight', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                var labelNode = transportMap.stations.getByCode(2).getLabelNode(),
+                    nextSibling = labelNode.nextSibling;
+
+                transportMap.highlightPath([1, 2, 3]);
+                transportMap.clearHighlight();
+
+                expect(labelNode.parentNode.id).to.equal('scheme-layer-labels');
+                expect(labelNode.nextSibling).to.equal(nextSibling);
+
+                transportMap.destroy();
+            });
+        });
+        it('should keep selected stations raised on clearHighlight', function () {
+            return ymaps.createTransportMap('moscow', mapContainer, {
+                selection: [2]
+            }).then(function (transportMap) {
+                transportMap.highlightPath([1, 2, 3]);
+                transportMap.clearHighlight();
+
+                expect(transportMap.stations.getByCode(2).getLabelNode().parentNode.id)
+                    .to.equal('highlight-layer-labels');
+
+                transportMap.destroy();
+            });
+        });
+        it('should throw on unknown station code', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                expect(function () {
+                    transportMap.highlightPath([1, -1]);
+                }).to.throw(Error);
+
+                transportMap.destroy();
+            });
+        });
+    });
+
+    describe('StationCollection instance', function () {
+        it('should implement "search"', function (done) {
+            ymaps.createTransportMap('kiev', mapContainer, {
+            }).then(function (transportMap) {
+                expect(transportMap.stations).respondTo('search');
+                transportMap.stations.search('пло').then(function (stations) {
+                    expect(stations).to.be.an('array');
+                    expect(stations.length).to.equal(2);
+
+                    transportMap.destroy();
+                    done();
+                });
+            });
+        });
+        it('should have an EventManager', function () {
+            return ymaps.createTransportMap('moscow', mapContainer, {
+            }).then(function (transportMap) {
+                expect(transportMap.stations).to.have.a.property('events');
+                expect(transportMap.stations.events).to.be.instanceOf(ymaps.event.Manager);
+
+                transportMap.destroy();
+            });
+        });
+        it('should fire "selectionchange" event on select', function (done) {
+            ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                transportMap.stations.events.add('selectionchange', function (e) {
+                    expect(e.get('type')).to.equal('select');
+
+                    transportMap.destroy();
+                    done();
+                });
+                transportMap.stations.select([1]);
+            }).done();
+        });
+        it('should fire "selectionchange" event on deselect', function (done) {
+            ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                transportMap.stations.select([4]);
+                transportMap.stations.events.add('selectionchange', function (e) {
+                    expect(e.get('type')).to.equal('deselect');
+
+                    transportMap.destroy();
+                    done();
+                });
+                transportMap.stations.deselect([4]);
+            }).done();
+        });
+        it('should implement getSelection', function () {
+            var initialSelection = randomUniqueDecimals(1, 10, 1, 10);
+
+            return ymaps.createTransportMap('moscow', mapContainer, {
+                selection: initialSelection
+            }).then(function (transportMap) {
+                expect(transportMap.stations).to.respondTo('getSelection');
+                expect(transportMap.stations.getSelection()).to.equalAsSets(initialSelection);
+
+                transportMap.destroy();
+            });
+        });
+        it('should implement select', function () {
+            return ymaps.createTransportMap('kharkov', mapContainer, {
+            }).then(function (transportMap) {
+                var selection = randomUniqueDecimals(1, 10, 1, 20);
+
+                expect(transportMap.stations).to.respondTo('select');
+                transportMap.stations.select(selection);
+                expect(transportMap.stations.getSelection()).to.equalAsSets(selection);
+
+                transportMap.destroy();
+            });
+        });
+        it('should implement deselect', function () {
+            var deselection = randomUniqueDecimals(1, 4, 1, 10);
+
+            return ymaps.createTransportMap('moscow', mapContainer, {
+                selection: randomUniqueDecimals(1, 10, 1, 10)
+            }).then(function (transportMap) {
+                expect(transportMap.stations).to.respondTo('deselect');
+
+                transportMap.stations.deselect(deselection);
+                expect(transportMap.stations.getSelection()).to.not.have.members(deselection);
+
+                transportMap.destroy();
+            });
+        });
+        it('should implement "each"', function () {
+            var initialSelection = randomUniqueDecimals(1, 10, 1, 10);
+
+            return ymaps.createTransportMap('moscow', mapContainer, {
+                selection: initialSelection
+            }).then(function (transportMap) {
+                expect(transportMap.stations).to.respondTo('each');
+
+                transportMap.stations.each(function (station) {
+                    expect(station).to.be.an('object');
+                });
+
+                transportMap.destroy();
+            });
+        });
+        it('should implement "getIterator"', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                expect(transportMap.stations).to.respondTo('getIterator');
+
+                transportMap.destroy();
+            });
+        });
+        it('should implement "filter"', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                expect(transportMap.stations).to.respondTo('filter');
+
+                transportMap.destroy();
+            });
+        });
+    });
+
+    describe('LineCollection', function () {
+        it('should enumerate lines with ordered stations', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                var lines = transportMap.lines.getAll();
+
+                expect(lines).to.not.be.empty;
+                lines.forEach(function (line) {
+                    expect(line).to.have.property('id');
+                    expect(line).to.have.property('name');
+                    expect(line).to.have.property('color');
+                    expect(line.getStationCodes()).to.not.be.empty;
+                    expect(transportMap.lines.getById(line.id)).to.equal(line);
+                });
+
+                transportMap.destroy();
+            });
+        });
+        it('should find lines of a station', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                var line = transportMap.lines.getAll()[0],
+                    station = transportMap.stations.getByCode(line.getStationCodes()[0]);
+
+                expect(station.getLines()).to.include(line);
+
+                transportMap.destroy();
+            });
+        });
+        it('should keep a selected line unshaded', function () {
+            return ymaps.createTransportMap('moscow', mapContainer, {shaded: true}).then(function (transportMap) {
+                var line = transportMap.lines.getAll()[0],
+                    events = [],
+                    labelNode = transportMap.stations.getByCode(line.getStationCodes()[0]).getLabelNode();
+
+                transportMap.lines.events.add('selectionchange', function (e) {
+                    events.push(e);
+                });
+                transportMap.lines.select(line.id);
+
+                expect(line.selected).to.be.true;
+                expect(events).to.have.length(1);
+                expect(events[0].get('added')).to.deep.equal([line.id]);
+                expect(labelNode.parentNode.id).to.equal('highlight-layer-labels');
+
+                transportMap.lines.clearSelection();
+                expect(labelNode.parentNode.id).to.not.equal('highlight-layer-labels');
+
+                transportMap.destroy();
+            });
+        });
+    });
+
+    describe('StationCollection selection modes', function () {
+        function createWithMode(selectionMode) {
+            return ymaps.createTransportMap('moscow', mapContainer, {}, {selectionMode: selectionMode});
+        }
+
+        it('should fire a single "selectionchange" event for several stations', function () {
+            return createWithMode('multiple').then(function (transportMap) {
+                var events = [];
+
+                transportMap.stations.events.add('selectionchange', function (e) {
+                    events.push(e);
+                });
+                transportMap.stations.select([1, 2, 3]);
+
+                expect(events).to.have.length(1);
+                expect(events[0].get('added')).to.deep.equal([1, 2, 3]);
+                expect(events[0].get('removed')).to.be.empty;
+
+                transportMap.destroy();
+            });
+        });
+        it('should replace the selected station in "single" mode', function () {
+            return createWithMode('single').then(function (transportMap) {
+                transportMap.stations.select(1);
+                transportMap.stations.events.add('selectionchange', function (e) {
+                    expect(e.get('type')).to.equal('change');
+                    expect(e.get('added')).to.deep.equal([2]);
+                    expect(e.get('removed')).to.deep.equal([1]);
+                });
+                transportMap.stations.select(2);
+
+                expect(transportMap.stations.getSelection()).to.deep.equal([2]);
+                expect(transportMap.stations.getByCode(1).selected).to.be.false;
+
+                transportMap.destroy();
+            });
+        });
+        it('should keep the latest stations in limited mode', function () {
+            return createWithMode(2).then(function (transportMap) {
+                transportMap.stations.select([1, 2, 3]);
+                expect(transportMap.stations.getSelection()).to.deep.equal([2, 3]);
+
+                transportMap.destroy();
+            });
+        });
+        it('should start a new pair in "pair" mode', function () {
+            return createWithMode('pair').then(function (transportMap) {
+                transportMap.stations.getByCode(2).select();
+                transportMap.stations.getByCode(1).select();
+                expect(transportMap.stations.getSelection()).to.deep.equal([2, 1]);
+
+                transportMap.stations.getByCode(3).select();
+                expect(transportMap.stations.getSelection()).to.deep.equal([3]);
+
+                transportMap.destroy();
+            });
+        });
+        it('should implement setSelection, clearSelection and invertSelection', function () {
+            return createWithMode('multiple').then(function (transportMap) {
+                var stations = transportMap.stations,
+                    events = [];
+
+                stations.select([1, 2]);
+                stations.events.add('selectionchange', function (e) {
+                    events.push(e);
+                });
+
+                stations.setSelection([2, 3]);
+                expect(stations.getSelection()).to.deep.equal([2, 3]);
+                expect(events).to.have.length(1);
+                expect(events[0].get('added')).to.deep.equal([3]);
+                expect(events[0].get('removed')).to.deep.equal([1]);
+
+                stations.invertSelection();
+                expect(stations.getSelection()).to.not.include.members([2, 3]);
+                expect(stations.getSelection()).to.include(1);
+
+                stations.clearSelection();
+                expect(stations.getSelection()).to.be.empty;
+                expect(events).to.have.length(3);
+
+                transportMap.destroy();
+            });
+        });
+        it('should accept station codes as strings', function () {
+            return createWithMode('multiple').then(function (transportMap) {
+                var stations = transportMap.stations;
+
+                stations.select('1');
+                stations.select(1);
+                expect(stations.getSelection()).to.deep.equal([1]);
+
+                stations.deselect(1);
+                expect(stations.getSelection()).to.be.empty;
+                expect(stations.getByCode(1).selected).to.be.false;
+
+                stations.setSelection(['2', 2]);
+                expect(stations.getSelection()).to.deep.equal([2]);
+
+                transportMap.destroy();
+            });
+        });
+        it('should fire per-station events with "stationEvents" option', function () {
+            return ymaps.createTransportMap('moscow', mapContainer, {}, {
+                stationEvents: true
+            }).then(function (transportMap) {
+                var stationEvents = [],
+                    collectionEvents = 0;
+
+                transportMap.stations.getByCode(1).events.add('selectionchange', function (e) {
+                    stationEvents.push(e.get('type'));
+                });
+                transportMap.stations.events.add('selectionchange', function () {
+                    collectionEvents++;
+                });
+
+                transportMap.stations.select([1, 2]);
+                transportMap.stations.deselect(1);
+
+                expect(stationEvents).to.deep.equal(['select', 'deselect']);
+                expect(collectionEvents).to.equal(2);
+
+                transportMap.destroy();
+            });
+        });
+        it('should apply styles of highlight groups', function () {
+            return ymaps.createTransportMap('moscow', mapContainer, {}, {
+                groupStyles: {origin: {fill: 'red'}}
+            }).then(function (transportMap) {
+                var station = transportMap.stations.getByCode(1),
+                    rectNode = station.getLabelNode().getElementsByTagName('rect')[0];
+
+                transportMap.stations.addToGroup('origin', 1);
+                expect(transportMap.stations.getGroup('origin')).to.deep.equal([1]);
+                expect(station.getGroups()).to.deep.equal(['origin']);
+                expect(rectNode.style.fill).to.equal('red');
+
+                transportMap.stations.setGroupStyle('origin', {fill: 'blue'});
+                expect(rectNode.style.fill).to.equal('blue');
+
+                transportMap.stations.clearGroup('origin');
+                expect(rectNode.style.fill).to.equal('');
+                expect(transportMap.stations.getGroups()).to.be.empty;
+
+                transportMap.destroy();
+            });
+        });
+        it('should accept station codes of groups as strings', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                var stations = transportMap.stations;
+
+                stations.addToGroup('origin', ['1', 1]);
+                expect(stations.getGroup('origin')).to.deep.equal([1]);
+
+                stations.removeFromGroup('origin', '1');
+                expect(stations.getGroups()).to.be.empty;
+                expect(stations.getByCode(1).getGroups()).to.be.empty;
+
+                transportMap.destroy();
+            });
+        });
+        it('should throw on unknown station codes', function () {
+            return createWithMode('multiple').then(function (transportMap) {
+                expect(function () {
+                    transportMap.stations.select([1, 100500]);
+                }).to.throw(Error);
+                expect(transportMap.stations.getSelection()).to.be.empty;
+
+                transportMap.destroy();
+            });
+        });
+    });
+
+    describe('StationCollection geo coordinates', function () {
+        it('should find nearest stations', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                var codes = function (stations) {
+                    return stations.map(function (station) {
+                        return station.code;
+                    });
+                };
+
+                transportMap.stations.setGeoCoordinates({
+                    1: [55.75, 37.60],
+                    2: [55.76, 37.61],
+                    3: [55.80, 37.70]
+                });
+
+                expect(codes(transportMap.stations.nearest([55.7601, 37.6101]))).to.deep.equal([2]);
+                expect(codes(transportMap.stations.nearest([55.7601, 37.6101], {limit: 5}))).to.deep.equal([2, 1, 3]);
+                expect(codes(transportMap.stations.nearest([55.75, 37.60], {limit: 5, maxDistance: 2000})))
+                    .to.deep.equal([1, 2]);
+                expect(transportMap.stations.getByCode(1).getGeoDistance([55.76, 37.61])).to.be.closeTo(1277, 5);
+
+                transportMap.destroy();
+            });
+        });
+        it('should skip stations without coordinates', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                transportMap.stations.setGeoCoordinates({1: [55.75, 37.60]});
+                transportMap.stations.setGeoCoordinates({1: null});
+
+                expect(transportMap.stations.getByCode(1).getGeoCoordinates()).to.equal(null);
+                expect(transportMap.stations.getGeoCoordinates()).to.not.have.property('1');
+
+                transportMap.destroy();
+            });
+        });
+        it('should throw on wrong coordinates', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                expect(function () {
+                    transportMap.stations.setGeoCoordinates({1: [0, 200]});
+                }).to.throw(Error);
+                expect(function () {
+                    transportMap.stations.setGeoCoordinates({1: ['55.75', '37.60']});
+                }).to.throw(Error);
+                expect(function () {
+                    transportMap.stations.setGeoCoordinates({1: [null, null]});
+                }).to.throw(Error);
+                expect(function () {
+                    transportMap.stations.setGeoCoordinates({'-1': [0, 0]});
+                }).to.throw(Error);
+                expect(function () {
+                    transportMap.stations.nearest('55.75,37.60');
+                }).to.throw(Error);
+
+                transportMap.destroy();
+            });
+        });
+        it('should keep coordinates on language change only', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                transportMap.stations.setGeoCoordinates({1: [55.75, 37.60]});
+
+                return transportMap.setLanguage('en').then(function () {
+                    expect(transportMap.stations.getByCode(1).getGeoCoordinates()).to.deep.equal([55.75, 37.60]);
+
+                    return transportMap.setCity('spb');
+                }).then(function () {
+                    expect(transportMap.stations.nearest([55.75, 37.60])).to.have.length(0);
+
+                    transportMap.destroy();
+                });
+            });
+        });
+    });
+
+    describe('StationCollection search', function () {
+        function titles(stations) {
+            return stations.map(function (station) {
+                return station.title;
+            });
+        }
+
+        it('should be case-insensitive', function () {
+            return ymaps.createTransportMap('kiev', mapContainer).then(function (transportMap) {
+                return ymaps.vow.all([
+                    transportMap.stations.search('пло'),
+                    transportMap.stations.search('ПЛО')
+                ]).spread(function (lowercase, uppercase) {
+                    expect(titles(lowercase)).to.deep.equal(titles(uppercase));
+
+                    transportMap.destroy();
+                });
+            });
+        });
+        it('should match transliterated requests', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                return transportMap.stations.search('pushkinskaya').then(function (stations) {
+                    expect(titles(stations)).to.include('Пушкинская');
+
+                    transportMap.destroy();
+                });
+            });
+        });
+        it('should ignore "ё"', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                return ymaps.vow.all([
+                    transportMap.stations.search('Савеловская'),
+                    transportMap.stations.search('Савёловская')
+                ]).spread(function (withE, withYo) {
+                    expect(withE.length).to.be.above(0);
+                    expect(titles(withE)).to.deep.equal(titles(withYo));
+
+                    transportMap.destroy();
+                });
+            });
+        });
+        it('should tolerate typos', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                return transportMap.stations.search('пушкинскя').then(function (stations) {
+                    expect(stations[0].title).to.equal('Пушкинская');
+
+                    transportMap.destroy();
+                });
+            });
+        });
+        it('should not tolerate typos in short words', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                return transportMap.stations.search('пуж').then(function (stations) {
+                    expect(titles(stations)).to.not.include('Пушкинская');
+
+                    transportMap.destroy();
+                });
+            });
+        });
+        it('should rank exact matches first', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                return transportMap.stations.search('Пушкинская').then(function (stations) {
+                    expect(stations[0].title).to.equal('Пушкинская');
+
+                    transportMap.destroy();
+                });
+            });
+        });
+        it('should respect limit', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                return transportMap.stations.search('', {limit: 5}).then(function (stations) {
+                    expect(stations.length).to.equal(5);
+
+                    transportMap.destroy();
+                });
+            });
+        });
+    });
+
+    describe('SearchControl', function () {
+        function createSearch(transportMap, request) {
+            var control = new ymaps.transportMap.SearchControl(transportMap),
+                input = control.getElement().getElementsByTagName('input')[0];
+
+            transportMap.getMap().controls.add(control);
+            input.value = request;
+
+            return control.suggest(request).then(function () {
+                return control;
+            });
+        }
+        function getList(control) {
+            return control.getElement().getElementsByTagName('ul')[0];
+        }
+
+        it('should be exposed', function () {
+            ymaps.transportMap.SearchControl.should.be.a('function');
+        });
+        it('should be added to the map', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                var control = new ymaps.transportMap.SearchControl(transportMap);
+
+                transportMap.getMap().controls.add(control);
+
+                return ymaps.vow.delay(null, 0).then(function () {
+                    expect(mapContainer.contains(control.getElement())).to.equal(true);
+
+                    transportMap.destroy();
+                });
+            });
+        });
+        it('should suggest stations', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                var control = new ymaps.transportMap.SearchControl(transportMap, {limit: 3});
+
+                transportMap.getMap().controls.add(control);
+
+                return control.suggest('п').then(function (stations) {
+                    expect(stations.length).to.equal(3);
+                    expect(control.getElement().getElementsByTagName('li').length).to.equal(3);
+
+                    transportMap.destroy();
+                });
+            });
+        });
+        it('should select a chosen station', function (done) {
+            ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                var control = new ymaps.transportMap.SearchControl(transportMap),
+                    station = transportMap.stations.getByCode(5);
+
+                transportMap.getMap().controls.add(control);
+                control.events.add('resultselect', function (e) {
+                    expect(e.get('station')).to.equal(station);
+                    expect(transportMap.stations.getSelection()).to.equalAsSets([5]);
+
+                    transportMap.destroy();
+                    done();
+                });
+                control.selectResult(station);
+            }).done();
+        });
+        it('should hide suggestions on Escape', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                return createSearch(transportMap, 'п').then(function (control) {
+                    var e = document.createEvent('Event');
+
+                    expect(getList(control).style.display).to.equal('');
+
+                    e.initEvent('keydown', true, true);
+                    e.keyCode = 27;
+                    control.getElement().getElementsByTagName('input')[0].dispatchEvent(e);
+
+                    expect(getList(control).style.display).to.equal('none');
+                    expect(getList(control).childNodes).to.have.length(0);
+
+                    transportMap.destroy();
+                });
+            });
+        });
+        it('should hide suggestions on blur', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                return createSearch(transportMap, 'п').then(function (control) {
+                    var e = document.createEvent('Event'),
+                        input = control.getElement().getElementsByTagName('input')[0];
+
+                    e.initEvent('blur', false, false);
+                    input.dispatchEvent(e);
+
+                    expect(getList(control).style.display).to.equal('none');
+                    expect(input.getAttribute('aria-expanded')).to.equal('false');
+
+                    transportMap.destroy();
+                });
+            });
+        });
+        it('should hide suggestions after a choice', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                var station = transportMap.stations.getByCode(5);
+
+                // the typed text is the title, that is set on a choice
+                return createSearch(transportMap, station.title).then(function (control) {
+                    control.selectResult(station).done();
+
+                    expect(getList(control).style.display).to.equal('none');
+                    expect(control.getElement().querySelector('.transport-map-search__empty')).to.be.null;
+
+                    transportMap.destroy();
+                });
+            });
+        });
+        it('should be localized', function () {
+            return ymaps.createTransportMap('moscow', mapContainer, {}, {lang: 'en'}).then(function (transportMap) {
+                var control = new ymaps.transportMap.SearchControl(transportMap);
+
+                expect(control.getElement().getElementsByTagName('input')[0].placeholder)
+                    .to.equal(ymaps.transportMap.SearchControl.TEXTS.en.placeholder);
+
+                transportMap.destroy();
+            });
+        });
+    });
+
+    describe('Station instance', function () {
+        it('should have "code" property', function () {
+            var initialSelection = randomUniqueDecimals(1, 10, 1, 10);
+
+            return ymaps.createTransportMap('moscow', mapContainer, {
+                selection: initialSelection
+            }).then(function (transportMap) {
+                transportMap.stations.each(function (station) {
+                    expect(station).to.have.property('code');
+                });
+
+                transportMap.destroy();
+            });
+        });
+        it('should implement getBounds and getCenter', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                var station = transportMap.stations.getByCode(1),
+                    bounds = station.getBounds(),
+                    center = station.getCenter();
+
+                expect(bounds[0][0]).to.be.at.most(bounds[1][0]);
+                expect(bounds[0][1]).to.be.at.most(bounds[1][1]);
+                expect(center[0]).to.be.within(bounds[0][0], bounds[1][0]);
+                expect(center[1]).to.be.within(bounds[0][1], bounds[1][1]);
+
+                transportMap.destroy();
+            });
+        });
+        it('should fire a single mouseenter/mouseleave pair for all hit areas', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                var station = transportMap.stations.getByCode(1),
+                    hitAreas = [],
+                    events = [];
+
+                transportMap.getMap().geoObjects.each(function (geoObject) {
+                    if (geoObject.events.getParent() === station.events) {
+                        hitAreas.push(geoObject);
+                    }
+                });
+                transportMap.events.add(['mouseenter', 'mouseleave'], function (e) {
+                    expect(e.get('target')).to.equal(station);
+                    events.push(e.get('type'));
+                });
+
+                hitAreas.forEach(function (hitArea) {
+                    hitArea.events.fire('mouseenter', {});
+                });
+                expect(station.hovered).to.be.true;
+                expect(station.getLabelNode().getAttribute('class')).to.contain('transport-map-station_hovered');
+
+                hitAreas.forEach(function (hitArea) {
+                    hitArea.events.fire('mouseleave', {});
+                });
+                expect(station.hovered).to.be.false;
+                expect(events).to.deep.equal(['mouseenter', 'mouseleave']);
+
+                transportMap.destroy();
+            });
+        });
+        it('should toggle selection by click unless it is prevented', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                var station = transportMap.stations.getByCode(1),
+                    hitArea;
+
+                transportMap.getMap().geoObjects.each(function (geoObject) {
+                    if (geoObject.events.getParent() === station.events) {
+                        hitArea = geoObject;
+                    }
+                });
+
+                hitArea.events.fire('click', {});
+                expect(station.selected).to.be.true;
+
+                transportMap.events.add('click', function (e) {
+                    expect(e.get('target')).to.equal(station);
+                    e.preventDefault();
+                });
+                hitArea.events.fire('click', {});
+                expect(station.selected).to.be.true;
+
+                transportMap.destroy();
+            });
+        });
+        it('should expose platforms and transfers', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                transportMap.stations.each(function (station) {
+                    var platforms = station.getPlatforms();
+
+                    expect(platforms).to.not.be.empty;
+                    expect(station.isInterchange()).to.equal(platforms.length > 1 || station.getTransfers().length > 0);
+                    station.getTransfers().forEach(function (transfer) {
+                        expect(
+                            platforms.indexOf(transfer.fromStationId) !== -1 ||
+                            platforms.indexOf(transfer.toStationId) !== -1
+                        ).to.be.true;
+                    });
+                });
+
+                transportMap.destroy();
+            });
+        });
+        it('should highlight a single platform', function () {
+            return ymaps.createTransportMap('moscow', mapContainer, {shaded: true}).then(function (transportMap) {
+                var station = transportMap.stations.filter(function (station) {
+                        return station.getPlatforms().length > 1;
+                    })[0],
+                    platforms = station.getPlatforms(),
+                    node = mapContainer.querySelector('#station-' + platforms[0]),
+                    otherNode = mapContainer.querySelector('#station-' + platforms[1]);
+
+                station.highlightPlatform(platforms[0]);
+                expect(station.getHighlightedPlatforms()).to.deep.equal([platforms[0]]);
+                expect(node.parentNode.id).to.equal('highlight-layer-stations');
+                expect(otherNode.parentNode.id).to.not.equal('highlight-layer-stations');
+
+                station.unhighlightPlatform(platforms[0]);
+                expect(node.parentNode.id).to.not.equal('highlight-layer-stations');
+                expect(function () {
+                    station.highlightPlatform(-1);
+                }).to.throw(Error);
+
+                transportMap.destroy();
+            });
+        });
+        it('should add and remove markers', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                var station = transportMap.stations.getByCode(1),
+                    marker = station.addMarker('<b>1</b>', {className: 'test-marker'});
+
+                expect(station.getMarkers()).to.deep.equal([marker]);
+                expect(marker.getStation()).to.equal(station);
+                expect(mapContainer.querySelectorAll('.test-marker').length).to.equal(1);
+
+                station.addMarker('2');
+                station.removeAllMarkers();
+                expect(station.getMarkers()).to.be.empty;
+                expect(mapContainer.querySelectorAll('.transport-map-marker').length).to.equal(0);
+
+                transportMap.destroy();
+            });
+        });
+        it('should open a balloon over the station', function () {
+            return ymaps.createTransportMap('moscow', mapContainer).then(function (transportMap) {
+                var station = transportMap.stations.getByCode(1);
+
+                return station.openBalloon('Test').then(function () {
+                    expect(transportMap.getMap().balloon.isOpen()).to.be.true;
+
+                    transportMap.destroy();
+                });
             });
         });
         it('should have "title" property', function () {